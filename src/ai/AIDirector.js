@@ -0,0 +1,216 @@
+// src/ai/AIDirector.js
+
+/**
+ * Default pacing. Stress signals add up to an intensity (0-1); the phase
+ * follows the intensity, and each phase sets how fast zombies spawn, how
+ * far from the player and which archetypes are favoured (weight multipliers).
+ */
+export const DefaultPacing = {
+    // Stress signals
+    damageStress: 0.015, // Per point of damage taken
+    killStress: 0.04, // Per kill
+    stressDecay: 0.05, // Per second
+    killsPerMinutePeak: 20, // Kill rate that alone means flat out
+    killRateWeight: 0.4,
+    lowAmmo: 0.3, // Ammo level the player starts worrying at
+    lowAmmoWeight: 0.3,
+    encounterRange: 12, // Zombies this close count as an encounter
+    boredomTime: 30, // Seconds without an encounter before the build-up hurries
+    
+    // Phase changes
+    peakIntensity: 0.75, // Build-up becomes a peak
+    peakDuration: 12,
+    relaxDuration: 15, // At least this long
+    relaxIntensity: 0.3, // and until intensity drops below this
+    
+    phases: {
+        buildUp: { spawnRate: 1.0, distance: { min: 20, max: 30 }, archetypes: { walker: 1.5, crawler: 1.2 } },
+        peak: { spawnRate: 2.0, distance: { min: 14, max: 22 }, archetypes: { runner: 2.5, brute: 1.5, screamer: 1.5 } },
+        relax: { spawnRate: 0.25, distance: { min: 28, max: 40 }, archetypes: { runner: 0.3, brute: 0 } }
+    }
+};
+
+// Phase overrides on top of the defaults, so a map can change one phase or one value
+function mergePhases(phases = {}) {
+    const merged = {};
+    
+    for (const [name, base] of Object.entries(DefaultPacing.phases)) {
+        const phase = phases[name] || {};
+        merged[name] = { ...base, ...phase, distance: { ...base.distance, ...phase.distance } };
+    }
+    
+    return merged;
+}
+
+/**
+ * Paces the horde around the player: builds up pressure, lets it peak,
+ * then backs off so the player can recover, instead of a flat stream.
+ * Steers the enemy manager (see EnemyManager.setPacing) in both wave and
+ * continuous modes. Emits 'director:phase' { phase, intensity } on changes.
+ */
+export class AIDirector {
+    constructor(engine) {
+        this.engine = engine;
+        this.settings = DefaultPacing;
+        this.enabled = true;
+        
+        // 'buildUp', 'peak' or 'relax'
+        this.phase = 'buildUp';
+        this.phaseTime = 0;
+        
+        // Signals
+        this.stress = 0; // From damage taken and kills, decays over time
+        this.kills = []; // Game times of recent kills
+        this.lastEncounterTime = 0;
+        this.intensity = 0;
+    }
+    
+    init() {
+        const events = this.engine.events;
+        
+        events.on('player:damaged', (event) => {
+            this.stress += event.amount * this.settings.damageStress;
+            this.lastEncounterTime = this.engine.gameTime;
+        });
+        
+        events.on('zombie:died', () => {
+            this.stress += this.settings.killStress;
+            this.kills.push(this.engine.gameTime);
+            this.lastEncounterTime = this.engine.gameTime;
+        });
+        
+        // Shooting at zombies counts as meeting them
+        const onHit = (hitInfo) => {
+            if (hitInfo.entity && hitInfo.entity.type === 'zombie') {
+                this.lastEncounterTime = this.engine.gameTime;
+            }
+        };
+        events.on('weapon:hit', onHit);
+        events.on('melee:hit', onHit);
+        
+        // Each round starts with a fresh build-up
+        events.on('round:start', () => {
+            if (this.phase !== 'buildUp') {
+                this.setPhase('buildUp');
+            }
+        });
+        
+        console.log("AI director initialized");
+    }
+    
+    /**
+     * Set the pacing
+     * @param {Object|boolean} settings - Values replacing DefaultPacing, null for the defaults,
+     *                                    or false to leave spawning unpaced
+     */
+    configure(settings) {
+        this.enabled = settings !== false;
+        this.settings = settings ? { ...DefaultPacing, ...settings, phases: mergePhases(settings.phases) } : DefaultPacing;
+        this.reset();
+    }
+    
+    reset() {
+        this.phase = 'buildUp';
+        this.phaseTime = 0;
+        this.stress = 0;
+        this.kills = [];
+        this.lastEncounterTime = this.engine.gameTime;
+        this.intensity = 0;
+        
+        this.engine.enemyManager.setPacing(null);
+    }
+    
+    update(deltaTime) {
+        if (!this.enabled) return;
+        
+        const player = this.engine.player;
+        if (!player) return;
+        
+        const settings = this.settings;
+        const now = this.engine.gameTime;
+        
+        this.phaseTime += deltaTime;
+        this.stress = Math.max(0, Math.min(1, this.stress) - settings.stressDecay * deltaTime);
+        this.kills = this.kills.filter(time => now - time <= 60);
+        
+        if (this.isPlayerInContact(player)) {
+            this.lastEncounterTime = now;
+        }
+        
+        this.intensity = this.getIntensity(player);
+        
+        // Phase changes
+        if (player.isDead) {
+            if (this.phase !== 'relax') this.setPhase('relax');
+        } else if (this.phase === 'buildUp' && this.intensity >= settings.peakIntensity) {
+            this.setPhase('peak');
+        } else if (this.phase === 'peak' && this.phaseTime >= settings.peakDuration) {
+            this.setPhase('relax');
+        } else if (this.phase === 'relax' && this.phaseTime >= settings.relaxDuration &&
+                   this.intensity <= settings.relaxIntensity) {
+            this.setPhase('buildUp');
+        }
+        
+        this.applyPacing();
+    }
+    
+    /**
+     * How hard the player is being pushed right now
+     * @param {Player} player - The player
+     * @returns {number} - 0 (calm) to 1 (overwhelmed)
+     */
+    getIntensity(player) {
+        const settings = this.settings;
+        
+        const killRate = Math.min(1, this.kills.length / settings.killsPerMinutePeak);
+        
+        const ammo = player.weaponManager ? player.weaponManager.getAmmoLevel() : 1;
+        const ammoWorry = ammo < settings.lowAmmo ? (settings.lowAmmo - ammo) / settings.lowAmmo : 0;
+        
+        return Math.min(1, this.stress + killRate * settings.killRateWeight + ammoWorry * settings.lowAmmoWeight);
+    }
+    
+    // 0 right after an encounter, 1 once the player has been left alone for boredomTime this phase
+    getBoredom() {
+        const quietTime = Math.min(this.engine.gameTime - this.lastEncounterTime, this.phaseTime);
+        return Math.min(1, quietTime / this.settings.boredomTime);
+    }
+    
+    isPlayerInContact(player) {
+        const range = this.settings.encounterRange;
+        
+        return this.engine.enemyManager.enemies.some(zombie =>
+            zombie.isAlive && zombie.position.distanceTo(player.position) <= range
+        );
+    }
+    
+    setPhase(phase) {
+        console.log(`AI director: ${this.phase} -> ${phase} (intensity ${this.intensity.toFixed(2)})`);
+        
+        this.phase = phase;
+        this.phaseTime = 0;
+        this.engine.events.emit('director:phase', { phase: phase, intensity: this.intensity });
+    }
+    
+    // Hand the current phase's spawn settings to the enemy manager
+    applyPacing() {
+        const phase = this.settings.phases[this.phase];
+        let spawnRate = phase.spawnRate;
+        let min = phase.distance.min;
+        let max = phase.distance.max;
+        
+        // A quiet build-up hurries along and brings the horde closer
+        if (this.phase === 'buildUp') {
+            const boredom = this.getBoredom();
+            spawnRate *= 1 + boredom;
+            min *= 1 - 0.3 * boredom;
+            max *= 1 - 0.3 * boredom;
+        }
+        
+        this.engine.enemyManager.setPacing({
+            spawnRate: spawnRate,
+            spawnDistance: { min: min, max: max },
+            archetypeBias: phase.archetypes || {}
+        });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,193 @@
+// src/ai/BehaviorRegistry.js
+import {
+    BehaviorTree,
+    SelectorNode,
+    SequenceNode,
+    InverterNode,
+    SucceederNode,
+    CooldownNode,
+    ConditionNode,
+    ActionNode
+} from './BehaviorTree.js';
+import { registerZombieBehaviors } from './ZombieBehaviors.js';
+
+// Keys of a leaf definition that aren't passed to its handler as params
+const reservedKeys = ['type', 'name', 'label', 'children', 'child'];
+
+/**
+ * Loads behaviour trees from data/ai/<id>.json and holds the
+ * conditions and actions their leaves refer to
+ *
+ * Node definitions:
+ *   { "type": "selector" | "sequence", "children": [...] }
+ *   { "type": "inverter" | "succeeder", "child": {...} }
+ *   { "type": "cooldown", "time": 10, "child": {...} }
+ *   { "type": "condition" | "action", "name": "chase", ...params }
+ *   { "type": "subtree", "tree": "other_tree_id" }
+ */
+export class BehaviorRegistry {
+    constructor(engine) {
+        this.engine = engine;
+        
+        // Leaf handlers by name
+        this.conditions = new Map();
+        this.actions = new Map();
+        
+        // Raw definitions and built trees by id
+        this.definitions = new Map();
+        this.trees = new Map();
+        this.loading = new Set(); // Ids being loaded, to catch trees that include each other
+        
+        registerZombieBehaviors(this);
+    }
+    
+    /**
+     * Register a condition usable as { "type": "condition", "name": name }
+     * @param {string} name - Condition name
+     * @param {Function} handler - (agent, params, context) => boolean
+     */
+    registerCondition(name, handler) {
+        this.conditions.set(name, handler);
+    }
+    
+    /**
+     * Register an action usable as { "type": "action", "name": name }
+     * @param {string} name - Action name
+     * @param {Object} handler - { start?, update } (see ActionNode)
+     */
+    registerAction(name, handler) {
+        this.actions.set(name, handler);
+    }
+    
+    /**
+     * Load a tree definition, along with any subtrees it uses
+     * @param {string} id - Tree id
+     * @param {string} path - Path to the definition file
+     * @returns {Promise<BehaviorTree|null>} - Built tree or null on failure
+     */
+    async load(id, path = `data/ai/${id}.json`) {
+        if (this.trees.has(id)) return this.trees.get(id);
+        if (this.loading.has(id)) {
+            throw new Error(`Behaviour tree "${id}" includes itself`);
+        }
+        
+        this.loading.add(id);
+        try {
+            if (!this.definitions.has(id)) {
+                const definition = await this.engine.assetManager.loadJSON(`ai_${id}`, path);
+                this.definitions.set(id, definition);
+            }
+            
+            // Subtrees must be loaded before this tree can be built
+            for (const subtreeId of this.findSubtrees(this.definitions.get(id))) {
+                if (this.loading.has(subtreeId)) {
+                    throw new Error(`Behaviour tree "${id}" includes "${subtreeId}", which includes it`);
+                }
+                await this.load(subtreeId);
+            }
+            
+            const tree = new BehaviorTree(id, this.build(this.definitions.get(id)));
+            this.trees.set(id, tree);
+            
+            console.log(`Loaded behaviour tree "${id}"`);
+            return tree;
+        } catch (error) {
+            console.error(`Failed to load behaviour tree ${id}:`, error);
+            return null;
+        } finally {
+            this.loading.delete(id);
+        }
+    }
+    
+    /**
+     * Get a loaded tree
+     * @param {string} id - Tree id
+     * @returns {BehaviorTree|null} - Tree or null if not loaded
+     */
+    get(id) {
+        return this.trees.get(id) || null;
+    }
+    
+    findSubtrees(definition, found = []) {
+        if (definition.type === 'subtree') {
+            found.push(definition.tree);
+        }
+        for (const child of definition.children || []) {
+            this.findSubtrees(child, found);
+        }
+        if (definition.child) {
+            this.findSubtrees(definition.child, found);
+        }
+        return found;
+    }
+    
+    /**
+     * Build a node from its definition
+     * @param {Object} definition - Node definition
+     * @returns {BehaviorNode} - Built node
+     */
+    build(definition) {
+        switch (definition.type) {
+            case 'selector':
+                return new SelectorNode(definition, this.buildChildren(definition));
+            
+            case 'sequence':
+                return new SequenceNode(definition, this.buildChildren(definition));
+            
+            case 'inverter':
+                return new InverterNode(definition, this.buildChild(definition));
+            
+            case 'succeeder':
+                return new SucceederNode(definition, this.buildChild(definition));
+            
+            case 'cooldown':
+                return new CooldownNode(definition, this.buildChild(definition));
+            
+            case 'condition': {
+                const handler = this.conditions.get(definition.name);
+                if (!handler) throw new Error(`Unknown condition: ${definition.name}`);
+                return new ConditionNode(definition, handler, this.getParams(definition));
+            }
+            
+            case 'action': {
+                const handler = this.actions.get(definition.name);
+                if (!handler) throw new Error(`Unknown action: ${definition.name}`);
+                return new ActionNode(definition, handler, this.getParams(definition));
+            }
+            
+            case 'subtree': {
+                // Reuse the subtree's nodes - agents keep separate memory per node anyway
+                const tree = this.trees.get(definition.tree);
+                if (!tree) throw new Error(`Subtree not loaded: ${definition.tree}`);
+                return tree.root;
+            }
+            
+            default:
+                throw new Error(`Unknown behaviour node type: ${definition.type}`);
+        }
+    }
+    
+    buildChildren(definition) {
+        if (!Array.isArray(definition.children) || definition.children.length === 0) {
+            throw new Error(`Behaviour node "${definition.type}" needs children`);
+        }
+        return definition.children.map(child => this.build(child));
+    }
+    
+    buildChild(definition) {
+        if (!definition.child) {
+            throw new Error(`Behaviour node "${definition.type}" needs a child`);
+        }
+        return this.build(definition.child);
+    }
+    
+    getParams(definition) {
+        const params = {};
+        for (const [key, value] of Object.entries(definition)) {
+            if (!reservedKeys.includes(key)) {
+                params[key] = value;
+            }
+        }
+        return params;
+    }
+}
\ No newline at end of file
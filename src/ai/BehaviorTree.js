@@ -0,0 +1,277 @@
+// src/ai/BehaviorTree.js
+
+/**
+ * Result of ticking a behaviour node
+ */
+export const Status = {
+    SUCCESS: 'success',
+    FAILURE: 'failure',
+    RUNNING: 'running'
+};
+
+/**
+ * Per-agent state for a behaviour tree
+ * Trees are shared between agents, so anything a node needs to remember
+ * between ticks lives here instead of on the node.
+ */
+export class BehaviorContext {
+    constructor(agent) {
+        this.agent = agent;
+        this.engine = agent.engine;
+        this.time = 0; // Seconds this agent has been ticked for
+        this.tickCount = 0;
+        this.memory = new Map(); // Node -> node memory
+        this.blackboard = {}; // Values shared between nodes, e.g. a target found by a condition
+        this.runningActions = new Set(); // Actions left running by the last tick
+    }
+    
+    getMemory(node) {
+        if (!this.memory.has(node)) {
+            this.memory.set(node, { status: null, lastTick: -1, state: {} });
+        }
+        return this.memory.get(node);
+    }
+    
+    /**
+     * Whether a node was ticked on the previous tick (i.e. it is still running)
+     * @param {BehaviorNode} node - Node to check
+     * @returns {boolean}
+     */
+    wasRunning(node) {
+        const memory = this.memory.get(node);
+        return !!memory && memory.status === Status.RUNNING && memory.lastTick === this.tickCount - 1;
+    }
+    
+    /**
+     * Abort every running action so they start over on the next tick,
+     * e.g. when something outside the tree (a stagger) took over the agent.
+     * Other node memory, such as cooldowns, is kept.
+     */
+    interrupt() {
+        for (const action of [...this.runningActions]) {
+            action.abort(this);
+        }
+    }
+    
+    reset() {
+        this.interrupt();
+        this.memory.clear();
+        this.blackboard = {};
+    }
+}
+
+/**
+ * Base class for all behaviour nodes
+ */
+export class BehaviorNode {
+    constructor(definition = {}) {
+        this.label = definition.label || null; // Optional name for debugging
+    }
+    
+    /**
+     * Run the node for one tick
+     * @param {BehaviorContext} context - Agent being ticked
+     * @param {number} deltaTime - Seconds since the last tick
+     * @returns {string} - A Status value
+     */
+    tick(context, deltaTime) {
+        const memory = context.getMemory(this);
+        const status = this.run(context, deltaTime, memory);
+        memory.status = status;
+        memory.lastTick = context.tickCount;
+        return status;
+    }
+    
+    run(context, deltaTime, memory) {
+        return Status.FAILURE;
+    }
+}
+
+/**
+ * Tries children in order until one doesn't fail
+ */
+export class SelectorNode extends BehaviorNode {
+    constructor(definition, children) {
+        super(definition);
+        this.children = children;
+    }
+    
+    run(context, deltaTime) {
+        for (const child of this.children) {
+            const status = child.tick(context, deltaTime);
+            if (status !== Status.FAILURE) return status;
+        }
+        return Status.FAILURE;
+    }
+}
+
+/**
+ * Runs children in order until one doesn't succeed
+ */
+export class SequenceNode extends BehaviorNode {
+    constructor(definition, children) {
+        super(definition);
+        this.children = children;
+    }
+    
+    run(context, deltaTime) {
+        for (const child of this.children) {
+            const status = child.tick(context, deltaTime);
+            if (status !== Status.SUCCESS) return status;
+        }
+        return Status.SUCCESS;
+    }
+}
+
+/**
+ * Flips success and failure
+ */
+export class InverterNode extends BehaviorNode {
+    constructor(definition, child) {
+        super(definition);
+        this.child = child;
+    }
+    
+    run(context, deltaTime) {
+        const status = this.child.tick(context, deltaTime);
+        if (status === Status.SUCCESS) return Status.FAILURE;
+        if (status === Status.FAILURE) return Status.SUCCESS;
+        return status;
+    }
+}
+
+/**
+ * Succeeds whatever the child does, unless it is still running
+ */
+export class SucceederNode extends BehaviorNode {
+    constructor(definition, child) {
+        super(definition);
+        this.child = child;
+    }
+    
+    run(context, deltaTime) {
+        const status = this.child.tick(context, deltaTime);
+        return status === Status.RUNNING ? Status.RUNNING : Status.SUCCESS;
+    }
+}
+
+/**
+ * Fails for `time` seconds after the child succeeds
+ */
+export class CooldownNode extends BehaviorNode {
+    constructor(definition, child) {
+        super(definition);
+        this.child = child;
+        this.time = definition.time !== undefined ? definition.time : 5;
+    }
+    
+    run(context, deltaTime, memory) {
+        if (memory.state.readyTime !== undefined && context.time < memory.state.readyTime) {
+            return Status.FAILURE;
+        }
+        
+        const status = this.child.tick(context, deltaTime);
+        if (status === Status.SUCCESS) {
+            memory.state.readyTime = context.time + this.time;
+        }
+        return status;
+    }
+}
+
+/**
+ * Leaf that checks something about the agent
+ * The handler is a function (agent, params, context) returning a boolean.
+ */
+export class ConditionNode extends BehaviorNode {
+    constructor(definition, handler, params) {
+        super(definition);
+        this.name = definition.name;
+        this.handler = handler;
+        this.params = params;
+    }
+    
+    run(context) {
+        return this.handler(context.agent, this.params, context) ? Status.SUCCESS : Status.FAILURE;
+    }
+}
+
+/**
+ * Leaf that makes the agent do something
+ * The handler is an object with:
+ *   start(agent, params, state, context) - optional, called when the action (re)starts
+ *   update(agent, params, state, deltaTime, context) - returns a Status
+ *   abort(agent, params, state, context) - optional, called when the action is cut off
+ *     while running (another branch took over, or the context was interrupted)
+ * `state` is scratch space for this agent, cleared every time the action restarts.
+ */
+export class ActionNode extends BehaviorNode {
+    constructor(definition, handler, params) {
+        super(definition);
+        this.name = definition.name;
+        this.handler = handler;
+        this.params = params;
+    }
+    
+    run(context, deltaTime, memory) {
+        // Start over unless this action was running on the previous tick
+        if (!context.wasRunning(this)) {
+            memory.state = {};
+            if (this.handler.start) {
+                this.handler.start(context.agent, this.params, memory.state, context);
+            }
+        }
+        
+        const status = this.handler.update(context.agent, this.params, memory.state, deltaTime, context);
+        if (status === Status.RUNNING) {
+            context.runningActions.add(this);
+        } else {
+            context.runningActions.delete(this);
+        }
+        return status;
+    }
+    
+    /**
+     * Stop the action mid-run; it starts over the next time it is ticked
+     * @param {BehaviorContext} context - Agent running it
+     */
+    abort(context) {
+        const memory = context.getMemory(this);
+        context.runningActions.delete(this);
+        memory.status = null;
+        
+        if (this.handler.abort) {
+            this.handler.abort(context.agent, this.params, memory.state, context);
+        }
+    }
+}
+
+/**
+ * A built behaviour tree, shared by every agent that uses it
+ */
+export class BehaviorTree {
+    constructor(id, root) {
+        this.id = id;
+        this.root = root;
+    }
+    
+    /**
+     * Tick the tree for one agent
+     * @param {BehaviorContext} context - The agent's context
+     * @param {number} deltaTime - Seconds since the last tick
+     * @returns {string} - Status of the root node
+     */
+    tick(context, deltaTime) {
+        context.time += deltaTime;
+        context.tickCount++;
+        const status = this.root.tick(context, deltaTime);
+        
+        // Actions running last tick that weren't reached this time were preempted
+        for (const action of [...context.runningActions]) {
+            if (context.getMemory(action).lastTick !== context.tickCount) {
+                action.abort(context);
+            }
+        }
+        
+        return status;
+    }
+}
\ No newline at end of file
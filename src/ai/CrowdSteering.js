@@ -0,0 +1,170 @@
+// src/ai/CrowdSteering.js
+import { Vector3 } from 'three';
+
+/**
+ * Horde steering for zombies
+ * Adds separation, alignment and cohesion to each zombie's chase direction,
+ * worked out on its tangent plane, and spreads zombies that are closing in
+ * on the player around them so they attack from several sides.
+ */
+export class CrowdSteering {
+    constructor(engine, options = {}) {
+        this.engine = engine;
+        
+        // Neighbourhood
+        this.neighborRadius = options.neighborRadius || 4.0;
+        this.separationRadius = options.separationRadius || 1.4;
+        
+        // Weights blended with the zombie's own direction
+        this.seekWeight = options.seekWeight || 1.0;
+        this.separationWeight = options.separationWeight || 1.6;
+        this.alignmentWeight = options.alignmentWeight || 0.3;
+        this.cohesionWeight = options.cohesionWeight || 0.2;
+        
+        // Surrounding - zombies this close to the player get a side to come from
+        this.surroundRadius = options.surroundRadius || 8.0;
+        this.surroundDistance = 0.8; // Fraction of attack range to stop at
+        this.slots = new Map(); // Zombie -> bearing around the player in radians
+        this.slotForward = new Vector3();
+        this.slotRight = new Vector3();
+        
+        this.agents = [];
+    }
+    
+    update(deltaTime) {
+        this.agents = this.engine.entityManager.getEntitiesByType('zombie')
+            .filter(zombie => zombie.isAlive && zombie.enabled);
+        
+        this.updateSurroundSlots();
+    }
+    
+    updateSurroundSlots() {
+        this.slots.clear();
+        
+        const player = this.engine.player;
+        if (!player || player.isDead) return;
+        
+        const engaged = this.agents.filter(zombie =>
+            zombie.state === 'chase' &&
+            zombie.position.distanceTo(player.position) <= this.surroundRadius
+        );
+        
+        // A lone zombie just goes straight for the player
+        if (engaged.length < 2) return;
+        
+        // Bearings are measured in the player's tangent plane
+        const up = player.surfaceNormal;
+        this.slotRight.crossVectors(up, new Vector3(0, 0, 1));
+        if (this.slotRight.lengthSq() < 0.01) {
+            this.slotRight.crossVectors(up, new Vector3(1, 0, 0));
+        }
+        this.slotRight.normalize();
+        this.slotForward.crossVectors(this.slotRight, up).normalize();
+        
+        const bearings = engaged.map(zombie => {
+            const offset = new Vector3().subVectors(zombie.position, player.position);
+            return {
+                zombie: zombie,
+                bearing: Math.atan2(offset.dot(this.slotRight), offset.dot(this.slotForward))
+            };
+        }).sort((a, b) => a.bearing - b.bearing);
+        
+        // Evenly spaced ring, turned to fit where the zombies already are so
+        // each keeps its side and nobody walks through the player to get there
+        const step = (Math.PI * 2) / bearings.length;
+        let sin = 0;
+        let cos = 0;
+        bearings.forEach((entry, index) => {
+            sin += Math.sin(entry.bearing - index * step);
+            cos += Math.cos(entry.bearing - index * step);
+        });
+        const ringOffset = Math.atan2(sin, cos);
+        
+        bearings.forEach((entry, index) => {
+            this.slots.set(entry.zombie, ringOffset + index * step);
+        });
+    }
+    
+    /**
+     * Get where a zombie should head for to reach the player from its assigned side
+     * @param {Zombie} zombie - Zombie chasing the player
+     * @param {Vector3} targetPosition - Player position
+     * @returns {Vector3} - Point beside the player, or targetPosition if unassigned
+     */
+    getSurroundTarget(zombie, targetPosition) {
+        if (!this.slots.has(zombie)) return targetPosition;
+        
+        const bearing = this.slots.get(zombie);
+        const distance = zombie.attackRange * this.surroundDistance;
+        
+        return targetPosition.clone()
+            .addScaledVector(this.slotForward, Math.cos(bearing) * distance)
+            .addScaledVector(this.slotRight, Math.sin(bearing) * distance);
+    }
+    
+    /**
+     * Blend flocking forces into a zombie's movement direction
+     * @param {Zombie} zombie - Zombie being steered
+     * @param {Vector3} direction - Unit tangent direction, updated in place
+     * @returns {Vector3} - The steered direction
+     */
+    steer(zombie, direction) {
+        const up = zombie.surfaceNormal;
+        const separation = new Vector3();
+        const alignment = new Vector3();
+        const cohesion = new Vector3();
+        let neighbors = 0;
+        
+        for (const other of this.agents) {
+            if (other === zombie) continue;
+            
+            // Offset along the ground
+            const offset = new Vector3().subVectors(other.position, zombie.position);
+            offset.addScaledVector(up, -offset.dot(up));
+            const distance = offset.length();
+            if (distance > this.neighborRadius || distance < 0.001) continue;
+            
+            // Push apart, harder the closer they are
+            if (distance < this.separationRadius) {
+                const strength = (this.separationRadius - distance) / this.separationRadius;
+                separation.addScaledVector(offset, -strength / distance);
+            }
+            
+            if (other.physicsBody) {
+                alignment.add(other.physicsBody.velocity);
+            }
+            cohesion.add(offset);
+            neighbors++;
+        }
+        
+        const result = direction.clone().multiplyScalar(this.seekWeight);
+        result.addScaledVector(separation, this.separationWeight);
+        
+        if (neighbors > 0) {
+            // Match the group's heading
+            alignment.addScaledVector(up, -alignment.dot(up));
+            if (alignment.lengthSq() > 0.0001) {
+                result.addScaledVector(alignment.normalize(), this.alignmentWeight);
+            }
+            
+            // Drift toward the group - not while surrounding, where it would undo the spread
+            if (!this.slots.has(zombie)) {
+                cohesion.divideScalar(neighbors * this.neighborRadius);
+                result.addScaledVector(cohesion, this.cohesionWeight);
+            }
+        }
+        
+        // Keep the result on the tangent plane
+        result.addScaledVector(up, -result.dot(up));
+        if (result.lengthSq() > 0.0001) {
+            direction.copy(result.normalize());
+        }
+        
+        return direction;
+    }
+    
+    clear() {
+        this.agents = [];
+        this.slots.clear();
+    }
+}
\ No newline at end of file
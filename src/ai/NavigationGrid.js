@@ -0,0 +1,374 @@
+// src/ai/NavigationGrid.js
+import { Vector3 } from 'three';
+
+/**
+ * Walkability graph over the planet surface for pathfinding
+ * Nodes are the vertices of a subdivided icosahedron, so they are spread
+ * almost evenly over the sphere (no bunching at the poles like a lat/long grid).
+ * Baked from the map's box structures after the map loads.
+ */
+export class NavigationGrid {
+    constructor(engine, options = {}) {
+        this.engine = engine;
+        
+        // Grid resolution - subdivided until neighbouring nodes are this close
+        this.nodeSpacing = options.nodeSpacing || 1.5;
+        this.maxSubdivisions = options.maxSubdivisions || 6;
+        
+        // Clearance for the agents using the grid
+        this.agentRadius = options.agentRadius || 0.5;
+        this.agentHeight = options.agentHeight || 1.8;
+        this.obstacleSamples = 3; // Heights tested between the feet and agentHeight
+        
+        // Planet the grid was baked for
+        this.center = new Vector3();
+        this.radius = 0;
+        
+        // Per-node data - unit directions from the planet centre
+        this.directions = [];
+        this.neighbors = [];
+        this.walkable = [];
+        this.spacing = 0; // Angle between neighbouring nodes in radians
+        
+        this.obstacles = [];
+        this.isBaked = false;
+    }
+    
+    /**
+     * Build the grid for the current planet and mark nodes blocked by structures
+     */
+    bake() {
+        const planetBody = this.engine.physics.planetBody;
+        if (!planetBody) {
+            console.warn("NavigationGrid: No planet body to bake for");
+            return;
+        }
+        
+        // Rebuild the node layout if the planet size changed
+        if (this.radius !== planetBody.radius || this.directions.length === 0) {
+            this.radius = planetBody.radius;
+            this.buildIcosphere(this.getSubdivisionLevel());
+        }
+        this.center.copy(planetBody.center);
+        
+        // Box structures are the only obstacles (the planet itself is walked on)
+        this.obstacles = this.engine.physics.staticBodies.filter(body => !body.isPlanet && body.halfExtents);
+        
+        this.walkable = this.directions.map(direction => !this.isDirectionBlocked(direction));
+        this.isBaked = true;
+        
+        const walkableCount = this.walkable.filter(Boolean).length;
+        console.log(`Navigation grid baked: ${walkableCount}/${this.directions.length} nodes walkable`);
+    }
+    
+    clear() {
+        this.obstacles = [];
+        this.walkable = [];
+        this.isBaked = false;
+    }
+    
+    getSubdivisionLevel() {
+        // Icosahedron edges span ~63.4 degrees and each subdivision halves them
+        const baseEdge = 1.1071 * this.radius;
+        let level = 0;
+        
+        while (level < this.maxSubdivisions && baseEdge / Math.pow(2, level) > this.nodeSpacing) {
+            level++;
+        }
+        
+        return level;
+    }
+    
+    buildIcosphere(subdivisions) {
+        // Icosahedron from three orthogonal golden rectangles
+        const t = (1 + Math.sqrt(5)) / 2;
+        let directions = [
+            [-1, t, 0], [1, t, 0], [-1, -t, 0], [1, -t, 0],
+            [0, -1, t], [0, 1, t], [0, -1, -t], [0, 1, -t],
+            [t, 0, -1], [t, 0, 1], [-t, 0, -1], [-t, 0, 1]
+        ].map(([x, y, z]) => new Vector3(x, y, z).normalize());
+        
+        let faces = [
+            [0, 11, 5], [0, 5, 1], [0, 1, 7], [0, 7, 10], [0, 10, 11],
+            [1, 5, 9], [5, 11, 4], [11, 10, 2], [10, 7, 6], [7, 1, 8],
+            [3, 9, 4], [3, 4, 2], [3, 2, 6], [3, 6, 8], [3, 8, 9],
+            [4, 9, 5], [2, 4, 11], [6, 2, 10], [8, 6, 7], [9, 8, 1]
+        ];
+        
+        // Split every triangle into four, sharing midpoints between neighbouring faces
+        for (let level = 0; level < subdivisions; level++) {
+            const midpoints = new Map();
+            const getMidpoint = (a, b) => {
+                const key = a < b ? `${a}_${b}` : `${b}_${a}`;
+                if (!midpoints.has(key)) {
+                    midpoints.set(key, directions.length);
+                    directions.push(new Vector3().addVectors(directions[a], directions[b]).normalize());
+                }
+                return midpoints.get(key);
+            };
+            
+            const nextFaces = [];
+            for (const [a, b, c] of faces) {
+                const ab = getMidpoint(a, b);
+                const bc = getMidpoint(b, c);
+                const ca = getMidpoint(c, a);
+                nextFaces.push([a, ab, ca], [b, bc, ab], [c, ca, bc], [ab, bc, ca]);
+            }
+            faces = nextFaces;
+        }
+        
+        // Triangle edges become graph links
+        const neighbors = directions.map(() => new Set());
+        for (const [a, b, c] of faces) {
+            neighbors[a].add(b).add(c);
+            neighbors[b].add(a).add(c);
+            neighbors[c].add(a).add(b);
+        }
+        
+        this.directions = directions;
+        this.neighbors = neighbors.map(set => Array.from(set));
+        
+        // Link angle, used to pick sample spacing for arc checks
+        this.spacing = directions[0].angleTo(directions[this.neighbors[0][0]]);
+    }
+    
+    /**
+     * Check whether an agent standing at a surface direction would overlap a structure
+     * @param {Vector3} direction - Unit direction from the planet centre
+     * @returns {boolean} - True if blocked
+     */
+    isDirectionBlocked(direction) {
+        const point = new Vector3();
+        
+        for (const obstacle of this.obstacles) {
+            const halfExtents = obstacle.halfExtents;
+            
+            // Test points from the feet up to head height
+            for (let i = 0; i < this.obstacleSamples; i++) {
+                const height = this.agentHeight * (i + 0.5) / this.obstacleSamples;
+                point.copy(direction).multiplyScalar(this.radius + height).add(this.center);
+                
+                if (Math.abs(point.x - obstacle.position.x) <= halfExtents.x + this.agentRadius &&
+                    Math.abs(point.y - obstacle.position.y) <= halfExtents.y + this.agentRadius &&
+                    Math.abs(point.z - obstacle.position.z) <= halfExtents.z + this.agentRadius) {
+                    return true;
+                }
+            }
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Check that the great-circle arc between two positions is free of structures
+     * @param {Vector3} from - Start position
+     * @param {Vector3} to - End position
+     * @returns {boolean} - True if an agent can walk straight from one to the other
+     */
+    isArcClear(from, to) {
+        const a = this.getDirection(from);
+        const b = this.getDirection(to);
+        const angle = a.angleTo(b);
+        
+        // Nearly opposite points have no single shortest arc
+        if (angle > Math.PI - 0.01) return false;
+        if (angle < 1e-4) return true;
+        
+        // Sample at half node spacing, skipping the start so agents brushing a crate can leave it
+        const steps = Math.ceil(angle / (this.spacing * 0.5));
+        const sinAngle = Math.sin(angle);
+        const direction = new Vector3();
+        
+        for (let i = 1; i <= steps; i++) {
+            const t = i / steps;
+            direction.copy(a).multiplyScalar(Math.sin((1 - t) * angle) / sinAngle)
+                .addScaledVector(b, Math.sin(t * angle) / sinAngle);
+            
+            if (this.isDirectionBlocked(direction)) return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Find a path across the surface with A*
+     * @param {Vector3} start - Start position
+     * @param {Vector3} goal - Goal position
+     * @returns {Array<Vector3>|null} - Surface waypoints from start to goal, or null if unreachable
+     */
+    findPath(start, goal) {
+        if (!this.isBaked) return null;
+        
+        const startNode = this.findNearestNode(start);
+        const goalNode = this.findNearestNode(goal);
+        if (startNode === -1 || goalNode === -1) return null;
+        
+        const nodes = this.search(startNode, goalNode);
+        if (!nodes) return null;
+        
+        // Run from the real start to the real goal through the node chain
+        const points = [this.getSurfacePoint(this.getDirection(start))];
+        for (const node of nodes) {
+            points.push(this.getSurfacePoint(this.directions[node]));
+        }
+        
+        const goalDirection = this.getDirection(goal);
+        if (!this.isDirectionBlocked(goalDirection)) {
+            points.push(this.getSurfacePoint(goalDirection));
+        }
+        
+        return this.smoothPath(points);
+    }
+    
+    search(startNode, goalNode) {
+        const count = this.directions.length;
+        const cost = new Float32Array(count).fill(Infinity);
+        const cameFrom = new Int32Array(count).fill(-1);
+        const closed = new Uint8Array(count);
+        const open = new NodeHeap();
+        const goalDirection = this.directions[goalNode];
+        
+        cost[startNode] = 0;
+        open.push(startNode, this.directions[startNode].angleTo(goalDirection));
+        
+        while (open.size() > 0) {
+            const node = open.pop();
+            if (node === goalNode) break;
+            if (closed[node]) continue;
+            closed[node] = 1;
+            
+            // Costs and the heuristic are arc angles, so the heuristic never overestimates
+            for (const neighbor of this.neighbors[node]) {
+                if (closed[neighbor] || !this.walkable[neighbor]) continue;
+                
+                const newCost = cost[node] + this.directions[node].angleTo(this.directions[neighbor]);
+                if (newCost < cost[neighbor]) {
+                    cost[neighbor] = newCost;
+                    cameFrom[neighbor] = node;
+                    open.push(neighbor, newCost + this.directions[neighbor].angleTo(goalDirection));
+                }
+            }
+        }
+        
+        if (startNode !== goalNode && cameFrom[goalNode] === -1) return null;
+        
+        // Walk back from the goal
+        const nodes = [goalNode];
+        while (nodes[nodes.length - 1] !== startNode) {
+            nodes.push(cameFrom[nodes[nodes.length - 1]]);
+        }
+        
+        return nodes.reverse();
+    }
+    
+    // Drop waypoints that can be skipped with a clear arc
+    smoothPath(points) {
+        const smoothed = [points[0]];
+        let anchor = 0;
+        
+        while (anchor < points.length - 1) {
+            let next = points.length - 1;
+            while (next > anchor + 1 && !this.isArcClear(points[anchor], points[next])) {
+                next--;
+            }
+            
+            smoothed.push(points[next]);
+            anchor = next;
+        }
+        
+        return smoothed;
+    }
+    
+    /**
+     * Closest walkable node to a position
+     * @param {Vector3} position - World position
+     * @returns {number} - Node index, or -1 if nothing is walkable
+     */
+    findNearestNode(position) {
+        const direction = this.getDirection(position);
+        let best = -1;
+        let bestDot = -Infinity;
+        
+        for (let i = 0; i < this.directions.length; i++) {
+            if (!this.walkable[i]) continue;
+            
+            const dot = this.directions[i].dot(direction);
+            if (dot > bestDot) {
+                bestDot = dot;
+                best = i;
+            }
+        }
+        
+        return best;
+    }
+    
+    getDirection(position) {
+        return new Vector3().subVectors(position, this.center).normalize();
+    }
+    
+    getSurfacePoint(direction) {
+        return direction.clone().multiplyScalar(this.radius).add(this.center);
+    }
+}
+
+/**
+ * Binary min-heap of node indices keyed by priority, for the A* open set
+ */
+class NodeHeap {
+    constructor() {
+        this.nodes = [];
+        this.priorities = [];
+    }
+    
+    size() {
+        return this.nodes.length;
+    }
+    
+    push(node, priority) {
+        this.nodes.push(node);
+        this.priorities.push(priority);
+        
+        // Sift up
+        let index = this.nodes.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.priorities[parent] <= this.priorities[index]) break;
+            this.swap(index, parent);
+            index = parent;
+        }
+    }
+    
+    pop() {
+        const top = this.nodes[0];
+        const lastNode = this.nodes.pop();
+        const lastPriority = this.priorities.pop();
+        
+        if (this.nodes.length > 0) {
+            this.nodes[0] = lastNode;
+            this.priorities[0] = lastPriority;
+            
+            // Sift down
+            let index = 0;
+            const length = this.nodes.length;
+            while (true) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                
+                if (left < length && this.priorities[left] < this.priorities[smallest]) smallest = left;
+                if (right < length && this.priorities[right] < this.priorities[smallest]) smallest = right;
+                if (smallest === index) break;
+                
+                this.swap(index, smallest);
+                index = smallest;
+            }
+        }
+        
+        return top;
+    }
+    
+    swap(a, b) {
+        [this.nodes[a], this.nodes[b]] = [this.nodes[b], this.nodes[a]];
+        [this.priorities[a], this.priorities[b]] = [this.priorities[b], this.priorities[a]];
+    }
+}
\ No newline at end of file
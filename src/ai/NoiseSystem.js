@@ -0,0 +1,158 @@
+// src/ai/NoiseSystem.js
+/**
+ * Sound stimuli that zombies can hear
+ * Gunfire, explosions and player movement make noises with a radius and
+ * intensity; each zombie in range is told how loud the noise was where it stands.
+ */
+export class NoiseSystem {
+    constructor(engine) {
+        this.engine = engine;
+        
+        // Noise for weapons without their own `noise` settings
+        this.defaultWeaponNoise = { radius: 35, intensity: 1.0 };
+        
+        // Explosions carry well past their damage radius
+        this.explosionRadiusMultiplier = 8;
+        this.meleeNoise = { radius: 6, intensity: 0.5 };
+        
+        // Footsteps
+        this.stepInterval = 0.5; // Seconds between walking steps
+        this.sprintStepInterval = 0.32;
+        this.walkNoise = { radius: 4, intensity: 0.3 };
+        this.sprintNoise = { radius: 12, intensity: 0.6 };
+        this.stepTimer = 0;
+        
+        // Landings get louder with fall speed
+        this.landingNoise = { radius: 5, intensity: 0.5 };
+        this.landingRadiusPerSpeed = 1.0; // Extra radius per m/s of fall speed
+        this.minLandingSpeed = 4.0; // Softer landings are silent
+        this.wasOnGround = true;
+        this.fallSpeed = 0;
+        
+        this.setupListeners();
+    }
+    
+    setupListeners() {
+        const events = this.engine.events;
+        
+        events.on('weapon:fired', (event) => {
+            const noise = event.weapon.noise || this.defaultWeaponNoise;
+            this.emit({
+                type: 'gunshot',
+                position: event.origin,
+                radius: noise.radius,
+                intensity: noise.intensity,
+                source: event.weapon.owner
+            });
+        });
+        
+        events.on('explosion', (event) => {
+            this.emit({
+                type: 'explosion',
+                position: event.position,
+                radius: event.radius * this.explosionRadiusMultiplier,
+                intensity: 1.0,
+                source: event.attacker
+            });
+        });
+        
+        events.on('melee:hit', (hitInfo) => {
+            this.emit({
+                type: 'melee',
+                position: hitInfo.point,
+                radius: this.meleeNoise.radius,
+                intensity: this.meleeNoise.intensity,
+                source: hitInfo.attacker
+            });
+        });
+    }
+    
+    /**
+     * Make a noise and alert zombies that can hear it
+     * @param {Object} noise - { type, position, radius, intensity, source }
+     * @returns {Array} - Zombies that heard it
+     */
+    emit(noise) {
+        const stimulus = {
+            type: noise.type || 'generic',
+            position: noise.position.clone(),
+            radius: noise.radius,
+            intensity: noise.intensity !== undefined ? noise.intensity : 1.0,
+            source: noise.source || null
+        };
+        
+        const listeners = [];
+        const zombies = this.engine.entityManager.getEntitiesByType('zombie');
+        
+        for (const zombie of zombies) {
+            if (!zombie.isAlive || typeof zombie.hearNoise !== 'function') continue;
+            
+            // Loudness fades linearly to nothing at the edge of the radius
+            const distance = zombie.position.distanceTo(stimulus.position);
+            if (distance > stimulus.radius) continue;
+            
+            const loudness = stimulus.intensity * (1 - distance / stimulus.radius);
+            if (zombie.hearNoise(stimulus, loudness)) {
+                listeners.push(zombie);
+            }
+        }
+        
+        this.engine.events.emit('noise', { ...stimulus, listeners: listeners });
+        
+        return listeners;
+    }
+    
+    update(deltaTime) {
+        const player = this.engine.player;
+        if (!player || player.isDead) return;
+        
+        this.updateFootsteps(player, deltaTime);
+        this.updateLanding(player);
+    }
+    
+    updateFootsteps(player, deltaTime) {
+        // Speed along the ground
+        const up = player.surfaceNormal;
+        const velocity = player.velocity.clone().addScaledVector(up, -player.velocity.dot(up));
+        const isMoving = player.onGround && velocity.length() > 1.0;
+        
+        if (!isMoving) {
+            this.stepTimer = 0;
+            return;
+        }
+        
+        this.stepTimer -= deltaTime;
+        if (this.stepTimer > 0) return;
+        
+        const noise = player.isSprinting ? this.sprintNoise : this.walkNoise;
+        this.stepTimer = player.isSprinting ? this.sprintStepInterval : this.stepInterval;
+        
+        this.emit({
+            type: 'footstep',
+            position: player.position,
+            radius: noise.radius,
+            intensity: noise.intensity,
+            source: player
+        });
+    }
+    
+    updateLanding(player) {
+        // Remember how fast we were falling while airborne
+        if (!player.onGround) {
+            this.fallSpeed = Math.max(0, -player.velocity.dot(player.surfaceNormal));
+        } else if (!this.wasOnGround && this.fallSpeed >= this.minLandingSpeed) {
+            this.emit({
+                type: 'landing',
+                position: player.position,
+                radius: this.landingNoise.radius + this.fallSpeed * this.landingRadiusPerSpeed,
+                intensity: this.landingNoise.intensity,
+                source: player
+            });
+        }
+        
+        if (player.onGround) {
+            this.fallSpeed = 0;
+        }
+        this.wasOnGround = player.onGround;
+    }
+}
\ No newline at end of file
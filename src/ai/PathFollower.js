@@ -0,0 +1,81 @@
+// src/ai/PathFollower.js
+import { Vector3 } from 'three';
+
+/**
+ * Steers an entity along navigation grid paths
+ * Gives back the next point to head for; the entity moves toward it along the
+ * great circle through the two, so each leg of the path is an arc on the planet.
+ */
+export class PathFollower {
+    constructor(entity, options = {}) {
+        this.entity = entity;
+        this.engine = entity.engine;
+        
+        // Repathing
+        this.repathInterval = options.repathInterval || 0.5; // Seconds between path updates
+        this.repathDistance = options.repathDistance || 1.5; // Goal movement that forces a new path
+        this.waypointRadius = options.waypointRadius || 0.6; // How close counts as reaching a waypoint
+        
+        this.path = null;
+        this.pathIndex = 0;
+        this.pathGoal = new Vector3();
+        this.nextRepathTime = 0;
+    }
+    
+    /**
+     * Get the point to steer toward on the way to a goal
+     * @param {Vector3} goal - Final destination
+     * @returns {Vector3} - The goal itself when the way is clear, otherwise the next waypoint
+     */
+    getSteeringTarget(goal) {
+        const navigation = this.engine.navigation;
+        if (!navigation || !navigation.isBaked) return goal;
+        
+        const position = this.entity.position;
+        
+        // Head straight there when nothing is in the way
+        if (navigation.isArcClear(position, goal)) {
+            this.path = null;
+            return goal;
+        }
+        
+        const now = this.engine.gameTime;
+        if (!this.path || now >= this.nextRepathTime || goal.distanceTo(this.pathGoal) > this.repathDistance) {
+            this.path = navigation.findPath(position, goal);
+            this.pathIndex = 1;
+            this.pathGoal.copy(goal);
+            this.nextRepathTime = now + this.repathInterval;
+        }
+        
+        // No route (e.g. goal walled in) - fall back to walking straight at it
+        if (!this.path || this.path.length < 2) return goal;
+        
+        // Move on once a waypoint is reached or the one after it is already in view
+        while (this.pathIndex < this.path.length - 1 &&
+               (this.isWaypointReached(this.path[this.pathIndex]) ||
+                navigation.isArcClear(position, this.path[this.pathIndex + 1]))) {
+            this.pathIndex++;
+        }
+        
+        if (this.pathIndex === this.path.length - 1 && this.isWaypointReached(this.path[this.pathIndex])) {
+            return goal;
+        }
+        
+        return this.path[this.pathIndex];
+    }
+    
+    isWaypointReached(waypoint) {
+        // Waypoints sit on the ground, so ignore the entity's height above it
+        const navigation = this.engine.navigation;
+        const offset = new Vector3().subVectors(this.entity.position, waypoint);
+        const up = navigation.getDirection(waypoint);
+        offset.addScaledVector(up, -offset.dot(up));
+        
+        return offset.length() <= this.waypointRadius;
+    }
+    
+    clear() {
+        this.path = null;
+        this.pathIndex = 0;
+    }
+}
\ No newline at end of file
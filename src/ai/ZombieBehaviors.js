@@ -0,0 +1,375 @@
+// src/ai/ZombieBehaviors.js
+import { Status } from './BehaviorTree.js';
+
+/**
+ * Conditions and actions for zombie behaviour trees
+ * Leaves only use the zombie's movement/animation helpers, so new behaviours
+ * can be registered here (or from anywhere via BehaviorRegistry) without
+ * touching Zombie.js. Params come from the leaf's definition in data/ai.
+ */
+export function registerZombieBehaviors(registry) {
+    // Conditions
+    
+    registry.registerCondition('canSeePlayer', (zombie) => zombie.canSeePlayer);
+    
+    registry.registerCondition('targetInAttackRange', (zombie, params) => {
+        const player = zombie.engine.player;
+        if (!player || player.isDead) return false;
+        
+        // A little extra reach once attacking so it doesn't flicker at the edge
+        const multiplier = zombie.state === 'attack' ? params.exitMultiplier || 1.2 : 1.0;
+        return zombie.position.distanceTo(player.position) <= zombie.attackRange * multiplier;
+    });
+    
+    registry.registerCondition('targetInRange', (zombie, params) => {
+        const player = zombie.engine.player;
+        if (!player || player.isDead) return false;
+        
+        const distance = zombie.position.distanceTo(player.position);
+        return distance >= (params.min || 0) && distance <= (params.max !== undefined ? params.max : Infinity);
+    });
+    
+    registry.registerCondition('canGrab', (zombie) => {
+        const player = zombie.engine.player;
+        if (!player || player.isDead || !player.grabController) return false;
+        
+        // Keep holding on, but don't pile onto someone else's grab
+        if (zombie.grabTarget === player) return true;
+        if (player.grabController.isGrabbed()) return false;
+        
+        // Not straight after being shaken off
+        if (zombie.timeSinceSpawn < zombie.grabReadyTime) return false;
+        
+        return zombie.position.distanceTo(player.position) <= zombie.grabRange;
+    });
+    
+    registry.registerCondition('hasLastKnownPosition', (zombie) => !!zombie.lastKnownPlayerPosition);
+    
+    registry.registerCondition('heardNoise', (zombie) => !!zombie.heardNoise);
+    
+    registry.registerCondition('isCrippled', (zombie) => zombie.isCrippled);
+    
+    registry.registerCondition('healthBelow', (zombie, params) => {
+        return zombie.health < zombie.maxHealth * (params.fraction !== undefined ? params.fraction : 0.5);
+    });
+    
+    registry.registerCondition('corpseNearby', (zombie, params, context) => {
+        const corpse = findCorpse(zombie, params.radius || 8);
+        context.blackboard.corpse = corpse;
+        return !!corpse;
+    });
+    
+    // Actions
+    
+    registry.registerAction('wander', {
+        start(zombie, params, state) {
+            zombie.changeState('wander');
+            state.target = null;
+            state.pauseTime = 0;
+        },
+        update(zombie, params, state, deltaTime) {
+            // Stand about between strolls
+            if (state.pauseTime > 0) {
+                state.pauseTime -= deltaTime;
+                return Status.RUNNING;
+            }
+            
+            if (!state.target) {
+                state.target = zombie.pickSearchPoint(zombie.position, params.radius || 6);
+                zombie.playAnimation('walk', true, params.animationSpeed || 0.7);
+            }
+            
+            if (zombie.getGroundDistanceTo(state.target) <= (params.arriveDistance || 1.0)) {
+                const pauseMin = params.pauseMin !== undefined ? params.pauseMin : 2;
+                const pauseMax = params.pauseMax !== undefined ? params.pauseMax : 5;
+                state.pauseTime = pauseMin + Math.random() * (pauseMax - pauseMin);
+                state.target = null;
+                zombie.stopMoving();
+                zombie.playAnimation('idle');
+                return Status.RUNNING;
+            }
+            
+            zombie.calculatePlanetSurfaceMovement(state.target, params.speed || 0.4);
+            return Status.RUNNING;
+        }
+    });
+    
+    registry.registerAction('investigate', {
+        start(zombie, params, state) {
+            zombie.changeState('investigate');
+            startInvestigating(zombie, state);
+        },
+        update(zombie, params, state, deltaTime) {
+            const noise = zombie.heardNoise;
+            if (!noise) return Status.FAILURE;
+            
+            // A newer noise restarts the trip
+            if (noise !== state.noise) {
+                startInvestigating(zombie, state);
+            }
+            
+            state.elapsed += deltaTime;
+            if (state.elapsed > (params.timeout || 15)) {
+                zombie.heardNoise = null;
+                return Status.FAILURE;
+            }
+            
+            // Walk to the noise
+            if (state.arrivedTime === null) {
+                if (zombie.getGroundDistanceTo(noise.position) > (params.arriveDistance || 1.5)) {
+                    zombie.calculatePlanetSurfaceMovement(noise.position, params.speed || 1.0);
+                    return Status.RUNNING;
+                }
+                
+                // Arrived - stop and look around
+                state.arrivedTime = state.elapsed;
+                zombie.stopMoving();
+                zombie.playAnimation('idle', true);
+            }
+            
+            if (Math.random() < 0.03) {
+                zombie.rotation.y += (Math.random() - 0.5) * 1.5;
+            }
+            
+            // Nothing found
+            if (state.elapsed - state.arrivedTime > (params.lookTime || 3)) {
+                zombie.heardNoise = null;
+                return Status.SUCCESS;
+            }
+            return Status.RUNNING;
+        }
+    });
+    
+    registry.registerAction('chase', {
+        start(zombie) {
+            zombie.changeState('chase');
+        },
+        update(zombie, params) {
+            const player = zombie.engine.player;
+            if (!player || player.isDead) return Status.FAILURE;
+            
+            // Come in from this zombie's side when the horde is surrounding the player
+            const crowd = zombie.engine.crowd;
+            const target = crowd ? crowd.getSurroundTarget(zombie, player.position) : player.position;
+            zombie.calculatePlanetSurfaceMovement(target, params.speed || 1.0);
+            
+            return Status.RUNNING;
+        }
+    });
+    
+    registry.registerAction('search', {
+        start(zombie, params, state) {
+            zombie.changeState('search');
+            state.elapsed = 0;
+            state.onTrail = true; // Heading to where the player was last seen
+            state.target = null;
+        },
+        update(zombie, params, state, deltaTime) {
+            const lastSeen = zombie.lastKnownPlayerPosition;
+            if (!lastSeen) return Status.FAILURE;
+            
+            state.elapsed += deltaTime;
+            const arriveDistance = params.arriveDistance || 1.5;
+            
+            if (state.onTrail) {
+                if (zombie.getGroundDistanceTo(lastSeen) > arriveDistance &&
+                    state.elapsed < (params.trailTimeout || 6)) {
+                    zombie.calculatePlanetSurfaceMovement(lastSeen);
+                    return Status.RUNNING;
+                }
+                
+                // Lost the trail - search around it
+                state.onTrail = false;
+                state.elapsed = 0;
+                zombie.playAnimation('walk', true, 0.8);
+            }
+            
+            if (state.elapsed > (params.duration || 10)) {
+                zombie.lastKnownPlayerPosition = null;
+                return Status.SUCCESS;
+            }
+            
+            // Wander between random spots around the last sighting
+            if (!state.target || zombie.getGroundDistanceTo(state.target) <= arriveDistance) {
+                state.target = zombie.pickSearchPoint(lastSeen, params.radius || 5);
+            }
+            zombie.calculatePlanetSurfaceMovement(state.target, params.speed || 0.8);
+            
+            return Status.RUNNING;
+        }
+    });
+    
+    registry.registerAction('attack', {
+        start(zombie) {
+            zombie.changeState('attack');
+        },
+        update(zombie, params) {
+            const player = zombie.engine.player;
+            if (!player || player.isDead) return Status.FAILURE;
+            
+            // Shuffle after a target backing off - swings are layered over the legs
+            if (zombie.position.distanceTo(player.position) > zombie.attackRange * (params.closeIn || 0.8)) {
+                zombie.calculatePlanetSurfaceMovement(player.position, params.speed || 0.4);
+            } else {
+                zombie.stopMoving();
+            }
+            
+            // Face the player and swing once the last one is over and the cooldown allows
+            zombie.lookAtOnPlanet(player.position);
+            if (!zombie.attackTarget && zombie.timeSinceSpawn - zombie.lastAttackTime > zombie.attackCooldown) {
+                zombie.performAttack(player);
+            }
+            
+            return Status.RUNNING;
+        },
+        abort(zombie) {
+            // Drop the swing in progress so the next one isn't held up
+            zombie.attackTarget = null;
+        }
+    });
+    
+    registry.registerAction('grab', {
+        start(zombie, params, state) {
+            zombie.stopMoving();
+            state.holding = zombie.grab(zombie.engine.player, params.animation || 'neckbite');
+            state.elapsed = 0;
+        },
+        update(zombie, params, state, deltaTime) {
+            if (!state.holding) return Status.FAILURE;
+            
+            // Let go, or was shaken off
+            const player = zombie.grabTarget;
+            if (!player) return Status.SUCCESS;
+            if (player.isDead) {
+                zombie.releaseGrab();
+                return Status.SUCCESS;
+            }
+            
+            zombie.stopMoving();
+            zombie.lookAtOnPlanet(player.position);
+            
+            // Bites land on the clip's 'bite' events (see Zombie.clipEvents)
+            state.elapsed += deltaTime;
+            if (state.elapsed >= (params.duration || 4)) {
+                zombie.releaseGrab();
+                return Status.SUCCESS;
+            }
+            return Status.RUNNING;
+        },
+        abort(zombie) {
+            if (zombie.grabTarget) {
+                zombie.releaseGrab();
+            }
+        }
+    });
+    
+    registry.registerAction('lunge', {
+        start(zombie, params, state) {
+            zombie.changeState('lunge');
+            state.elapsed = 0;
+            
+            // Commit to a direction at the start - the player can sidestep
+            const player = zombie.engine.player;
+            state.direction = player ? zombie.getTangentDirectionTo(player.position) : null;
+            if (state.direction) {
+                zombie.lookAtOnPlanet(player.position);
+            }
+        },
+        update(zombie, params, state, deltaTime) {
+            if (!state.direction) return Status.FAILURE;
+            
+            state.elapsed += deltaTime;
+            if (state.elapsed >= (params.duration || 0.4)) {
+                return Status.SUCCESS;
+            }
+            
+            if (zombie.physicsBody) {
+                const verticalVelocity = zombie.physicsBody.velocity.dot(zombie.surfaceNormal);
+                zombie.physicsBody.velocity.copy(state.direction).multiplyScalar(params.speed || 8)
+                    .addScaledVector(zombie.surfaceNormal, verticalVelocity);
+            }
+            return Status.RUNNING;
+        }
+    });
+    
+    registry.registerAction('scream', {
+        start(zombie, params, state) {
+            zombie.changeState('scream');
+            state.elapsed = 0;
+            
+            const player = zombie.engine.player;
+            if (player) {
+                zombie.lookAtOnPlanet(player.position);
+            }
+            
+            // Bring the rest of the horde over
+            if (zombie.engine.noise) {
+                zombie.engine.noise.emit({
+                    type: 'scream',
+                    position: zombie.position,
+                    radius: params.radius || 30,
+                    intensity: params.intensity || 1.0,
+                    source: zombie
+                });
+            }
+        },
+        update(zombie, params, state, deltaTime) {
+            state.elapsed += deltaTime;
+            return state.elapsed >= (params.duration || 1.5) ? Status.SUCCESS : Status.RUNNING;
+        }
+    });
+    
+    registry.registerAction('feed', {
+        start(zombie, params, state, context) {
+            zombie.changeState('feed');
+            state.corpse = context.blackboard.corpse;
+            state.feeding = false;
+            state.elapsed = 0;
+        },
+        update(zombie, params, state, deltaTime) {
+            // The body may have been cleared away (see CorpseManager)
+            if (!state.corpse || state.corpse.enabled === false) return Status.FAILURE;
+            
+            if (!state.feeding) {
+                if (zombie.getGroundDistanceTo(state.corpse.position) > (params.arriveDistance || 1.0)) {
+                    zombie.calculatePlanetSurfaceMovement(state.corpse.position, params.speed || 0.6);
+                    return Status.RUNNING;
+                }
+                
+                // Crouch over the body
+                state.feeding = true;
+                zombie.stopMoving();
+                zombie.lookAtOnPlanet(state.corpse.position);
+                zombie.playAnimation(params.animation || 'idle', true, params.animationSpeed || 1.0);
+            }
+            
+            state.elapsed += deltaTime;
+            return state.elapsed >= (params.duration || 8) ? Status.SUCCESS : Status.RUNNING;
+        }
+    });
+}
+
+function startInvestigating(zombie, state) {
+    state.noise = zombie.heardNoise;
+    state.elapsed = 0;
+    state.arrivedTime = null;
+    zombie.playAnimation('walk', true, 1.0);
+}
+
+// Nearest dead zombie that's still lying around
+function findCorpse(zombie, radius) {
+    let nearest = null;
+    let nearestDistance = radius;
+    
+    for (const other of zombie.engine.entityManager.getEntitiesByType('zombie')) {
+        if (other === zombie || other.isAlive) continue;
+        
+        const distance = other.position.distanceTo(zombie.position);
+        if (distance <= nearestDistance) {
+            nearest = other;
+            nearestDistance = distance;
+        }
+    }
+    
+    return nearest;
+}
\ No newline at end of file
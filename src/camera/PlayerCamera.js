@@ -138,6 +138,13 @@ export class PlayerCamera {
         this.targetFov = this.player.isSprinting ? 
             this.baseFov * sprintFovMultiplier : this.baseFov;
         
+        // Aiming down sights narrows the view
+        const weapon = this.player.weaponManager.currentWeapon;
+        if (weapon && weapon.aimProgress > 0) {
+            const aimFov = this.baseFov * weapon.adsFovMultiplier;
+            this.targetFov += (aimFov - this.targetFov) * weapon.aimProgress;
+        }
+        
         // Smoothly interpolate current FOV to target
         if (Math.abs(this.currentFov - this.targetFov) > 0.1) {
             this.currentFov += (this.targetFov - this.currentFov) * 
@@ -1,7 +1,9 @@
 // src/engine/Engine.js
 import { Time } from './Time.js';
+import { EventBus } from './EventBus.js';
 import { Input } from './Input.js';
 import { Renderer } from '../renderer/Renderer.js';
+import { WeaponEffects } from '../renderer/WeaponEffects.js';
 import { PhysicsWorld } from '../physics/PhysicsWorld.js';
 import { EntityManager } from '../entities/EntityManager.js';
 import { MapLoader } from '../maps/MapLoader.js';
@@ -10,6 +12,15 @@ import { Player } from '../player/Player.js';
 import { PlayerCamera } from '../camera/PlayerCamera.js';
 import { Debug } from './Debug.js';
 import { EnemyManager } from '../entities/EnemyManager.js';
+import { ExplosionSystem } from '../entities/ExplosionSystem.js';
+import { CorpseManager } from '../entities/CorpseManager.js';
+import { WeaponRegistry } from '../weapons/WeaponRegistry.js';
+import { ZombieRegistry } from '../entities/ZombieRegistry.js';
+import { NavigationGrid } from '../ai/NavigationGrid.js';
+import { CrowdSteering } from '../ai/CrowdSteering.js';
+import { NoiseSystem } from '../ai/NoiseSystem.js';
+import { BehaviorRegistry } from '../ai/BehaviorRegistry.js';
+import { AIDirector } from '../ai/AIDirector.js';
 
 export class Engine {
     constructor(config = {}) {
@@ -19,14 +30,22 @@ export class Engine {
             fov: 95,
             gravity: -20, // Higher gravity for better feel
             debug: false,
+            ragdolls: true, // Physics ragdolls for dead zombies
+            maxCorpses: 12, // Bodies left lying around before the oldest fade out
+            corpseLifetime: 30, // Seconds a body lies around
             ...config 
         };
         
         this.isRunning = false;
         this.isPaused = false;
         
+        // Game time - stops while paused and runs slower in slow motion
+        this.timeScale = 1.0;
+        this.gameTime = 0; // Seconds of game time so far
+        
         // Core systems
         this.time = new Time();
+        this.events = new EventBus();
         this.input = new Input();
         this.assetManager = new AssetManager();
         this.renderer = new Renderer(this);
@@ -35,6 +54,16 @@ export class Engine {
         this.mapLoader = new MapLoader(this);
         this.debug = new Debug(this);
         this.enemyManager = new EnemyManager(this);
+        this.corpseManager = new CorpseManager(this);
+        this.director = new AIDirector(this);
+        this.explosions = new ExplosionSystem(this);
+        this.navigation = new NavigationGrid(this);
+        this.crowd = new CrowdSteering(this);
+        this.noise = new NoiseSystem(this);
+        this.behaviors = new BehaviorRegistry(this);
+        this.weaponRegistry = new WeaponRegistry(this);
+        this.zombieRegistry = new ZombieRegistry(this);
+        this.weaponEffects = new WeaponEffects(this);
         
         // Player and camera
         this.player = null;
@@ -53,8 +82,20 @@ export class Engine {
         this.renderer.init();
         this.physics.init();
         
+        // Load weapon and ammo definitions
+        await this.weaponRegistry.load();
+        await this.weaponRegistry.loadAmmoTypes();
+        
+        // Load zombie archetypes and the behaviour trees they use
+        await this.zombieRegistry.load();
+        for (const behaviorId of this.zombieRegistry.getBehaviorIds()) {
+            await this.behaviors.load(behaviorId);
+        }
+        
         // Initialize enemy manager
         this.enemyManager.init();
+        this.corpseManager.init();
+        this.director.init();
         
         // Load enemy assets (including zombie model and animations)
         console.log("Loading enemy assets...");
@@ -64,6 +105,9 @@ export class Engine {
         this.player = new Player(this);
         this.camera = new PlayerCamera(this);
         
+        // Weapon effects attach the muzzle flash to the camera
+        this.weaponEffects.init();
+        
         if (this.config.debug) {
             this.debug.enable();
         }
@@ -97,6 +141,9 @@ export class Engine {
     async unloadCurrentMap() {
         if (!this.currentMap) return;
         
+        // Remove bodies (and their faded materials) before the rest of the entities
+        this.corpseManager.clear();
+        
         // Clear entities (except player)
         this.entityManager.clearNonPlayerEntities();
         
@@ -106,6 +153,13 @@ export class Engine {
         // Clear enemies
         this.enemyManager.clear();
         
+        // Drop the baked navigation grid and horde state
+        this.navigation.clear();
+        this.crowd.clear();
+        
+        // Clear decals and other leftover effects
+        this.weaponEffects.clear();
+        
         // Unload map-specific assets
         await this.assetManager.unloadGroup(this.currentMap.id);
         
@@ -134,9 +188,11 @@ export class Engine {
     gameLoop(timestamp) {
         // Calculate delta time with cap to prevent physics issues
         const rawDeltaTime = this.time.update(timestamp);
-        const deltaTime = Math.min(rawDeltaTime, 1/30); // Cap to 30fps minimum for stable physics
+        const deltaTime = Math.min(rawDeltaTime, 1/30) * this.timeScale; // Cap to 30fps minimum for stable physics
         
         if (!this.isPaused) {
+            this.gameTime += deltaTime;
+            
             // Update player first to ensure responsive controls
             if (this.player) {
                 this.player.update(deltaTime);
@@ -145,12 +201,25 @@ export class Engine {
             // Update physics after player input
             this.physics.update(deltaTime);
             
+            // Gather the horde before zombies steer
+            this.crowd.update(deltaTime);
+            
+            // Footstep and landing noises
+            this.noise.update(deltaTime);
+            
             // Update other entities
             this.entityManager.update(deltaTime);
             
-            // Update enemy manager
+            // Pace the horde, then spawn and tidy up enemies
+            this.director.update(deltaTime);
             this.enemyManager.update(deltaTime);
             
+            // Fade out and remove old bodies
+            this.corpseManager.update(deltaTime);
+            
+            // Update weapon effects
+            this.weaponEffects.update(deltaTime);
+            
             // Update camera last to follow updated player
             if (this.camera) {
                 this.camera.update(deltaTime);
@@ -186,4 +255,12 @@ export class Engine {
         this.isPaused = !this.isPaused;
         console.log(this.isPaused ? "Game paused" : "Game resumed");
     }
+    
+    /**
+     * Speed game time up or down (e.g. 0.3 for slow motion)
+     * @param {number} scale - Game seconds per real second
+     */
+    setTimeScale(scale) {
+        this.timeScale = Math.max(0, scale);
+    }
 }
\ No newline at end of file
@@ -0,0 +1,56 @@
+// src/engine/EventBus.js
+export class EventBus {
+    constructor() {
+        // Registered handlers by event name
+        this.handlers = new Map();
+    }
+    
+    /**
+     * Register a handler for an event
+     * @param {string} eventName - Event name
+     * @param {Function} handler - Handler called with the event data
+     */
+    on(eventName, handler) {
+        if (!this.handlers.has(eventName)) {
+            this.handlers.set(eventName, []);
+        }
+        this.handlers.get(eventName).push(handler);
+    }
+    
+    /**
+     * Remove a previously registered handler
+     * @param {string} eventName - Event name
+     * @param {Function} handler - Handler to remove
+     */
+    off(eventName, handler) {
+        const handlers = this.handlers.get(eventName);
+        if (!handlers) return;
+        
+        const index = handlers.indexOf(handler);
+        if (index !== -1) {
+            handlers.splice(index, 1);
+        }
+    }
+    
+    /**
+     * Call all handlers registered for an event
+     * @param {string} eventName - Event name
+     * @param {Object} data - Event data passed to handlers
+     */
+    emit(eventName, data) {
+        const handlers = this.handlers.get(eventName);
+        if (!handlers) return;
+        
+        // Copy so handlers can unregister themselves while being called
+        for (const handler of handlers.slice()) {
+            handler(data);
+        }
+    }
+    
+    /**
+     * Remove all handlers
+     */
+    clear() {
+        this.handlers.clear();
+    }
+}
\ No newline at end of file
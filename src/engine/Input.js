@@ -1,4 +1,8 @@
 // src/engine/Input.js
+
+// Names that can be used instead of MouseEvent.button indices
+const mouseButtonNames = ['MouseLeft', 'MouseMiddle', 'MouseRight'];
+
 export class Input {
     constructor() {
         // Key state
@@ -13,6 +17,7 @@ export class Input {
         this.mouseMoveHandlers = [];
         this.mouseDownHandlers = new Map();
         this.mouseUpHandlers = new Map();
+        this.mouseWheelHandlers = [];
         
         // Touch state
         this.touchState = [];
@@ -31,6 +36,8 @@ export class Input {
         this.boundHandleMouseMove = this.handleMouseMove.bind(this);
         this.boundHandleMouseDown = this.handleMouseDown.bind(this);
         this.boundHandleMouseUp = this.handleMouseUp.bind(this);
+        this.boundHandleContextMenu = this.handleContextMenu.bind(this);
+        this.boundHandleWheel = this.handleWheel.bind(this);
         this.boundHandleTouchStart = this.handleTouchStart.bind(this);
         this.boundHandleTouchMove = this.handleTouchMove.bind(this);
         this.boundHandleTouchEnd = this.handleTouchEnd.bind(this);
@@ -47,6 +54,8 @@ export class Input {
         window.addEventListener('mousemove', this.boundHandleMouseMove);
         window.addEventListener('mousedown', this.boundHandleMouseDown);
         window.addEventListener('mouseup', this.boundHandleMouseUp);
+        window.addEventListener('contextmenu', this.boundHandleContextMenu);
+        window.addEventListener('wheel', this.boundHandleWheel);
         
         // Set up touch event listeners
         window.addEventListener('touchstart', this.boundHandleTouchStart, { passive: false });
@@ -117,11 +126,8 @@ export class Input {
         }
         
         // Call registered handlers
-        const handlers = this.mouseDownHandlers.get(event.button);
-        if (handlers) {
-            for (const handler of handlers) {
-                handler(event);
-            }
+        for (const handler of this.getMouseHandlers(this.mouseDownHandlers, event.button)) {
+            handler(event);
         }
     }
     
@@ -129,14 +135,36 @@ export class Input {
         this.mouseButtons.set(event.button, false);
         
         // Call registered handlers
-        const handlers = this.mouseUpHandlers.get(event.button);
-        if (handlers) {
-            for (const handler of handlers) {
-                handler(event);
-            }
+        for (const handler of this.getMouseHandlers(this.mouseUpHandlers, event.button)) {
+            handler(event);
+        }
+    }
+    
+    handleWheel(event) {
+        // Only scroll through gameplay actions while playing
+        if (!this.isPointerLocked) return;
+        
+        // Call registered handlers with the scroll direction (1 = down, -1 = up)
+        const direction = Math.sign(event.deltaY);
+        if (direction === 0) return;
+        
+        for (const handler of this.mouseWheelHandlers) {
+            handler(direction, event);
         }
     }
     
+    handleContextMenu(event) {
+        // Right mouse is bound to gameplay actions (aim down sights)
+        event.preventDefault();
+    }
+    
+    // Handlers can be registered by button index (0) or by name ('MouseLeft')
+    getMouseHandlers(handlerMap, button) {
+        const byIndex = handlerMap.get(button) || [];
+        const byName = handlerMap.get(mouseButtonNames[button]) || [];
+        return byIndex.concat(byName);
+    }
+    
     handleTouchStart(event) {
         event.preventDefault();
         
@@ -267,6 +295,10 @@ export class Input {
         this.mouseUpHandlers.get(button).push(handler);
     }
     
+    onMouseWheel(handler) {
+        this.mouseWheelHandlers.push(handler);
+    }
+    
     onTouchStart(handler) {
         this.touchStartHandlers.push(handler);
     }
@@ -292,6 +324,8 @@ export class Input {
         window.removeEventListener('mousemove', this.boundHandleMouseMove);
         window.removeEventListener('mousedown', this.boundHandleMouseDown);
         window.removeEventListener('mouseup', this.boundHandleMouseUp);
+        window.removeEventListener('contextmenu', this.boundHandleContextMenu);
+        window.removeEventListener('wheel', this.boundHandleWheel);
         window.removeEventListener('touchstart', this.boundHandleTouchStart);
         window.removeEventListener('touchmove', this.boundHandleTouchMove);
         window.removeEventListener('touchend', this.boundHandleTouchEnd);
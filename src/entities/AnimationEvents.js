@@ -0,0 +1,104 @@
+// src/entities/AnimationEvents.js
+
+/**
+ * Named events at set points in animation clips ("notifies"), e.g. the
+ * frame an attack connects. Times are fractions of the clip (0-1) so they
+ * follow the clip whatever its length and playback speed.
+ *
+ * Definitions by clip name:
+ *   { attack: { duration: 1.2, events: [{ name: 'hit', time: 0.4 }] } }
+ * `duration` is only used to keep time when the clip itself is missing
+ * (e.g. the debug mesh), so gameplay still runs on schedule.
+ */
+export class AnimationEvents {
+    /**
+     * @param {Object} definitions - Clip name -> { duration, events }
+     * @param {Function} handler - Called with (eventName, clipName)
+     */
+    constructor(definitions, handler) {
+        this.definitions = definitions;
+        this.handler = handler;
+        
+        // Playing clip
+        this.clipName = null;
+        this.action = null; // Mixer action, or null when keeping time ourselves
+        this.loop = false;
+        this.speed = 1.0;
+        this.time = 0; // Fraction of the clip played
+        this.started = false;
+        this.playCount = 0; // Bumped on every play, to notice handlers restarting clips
+    }
+    
+    /**
+     * Start tracking a clip (see Zombie.playAnimation)
+     * @param {string} clipName - Name the events are defined under
+     * @param {AnimationAction|null} action - Mixer action playing it, if any
+     * @param {boolean} loop - Whether the clip loops
+     * @param {number} speed - Playback speed, used when there's no action
+     */
+    play(clipName, action, loop, speed = 1.0) {
+        this.clipName = this.definitions[clipName] ? clipName : null;
+        this.action = action;
+        this.loop = loop;
+        this.speed = speed;
+        this.time = 0;
+        this.started = false;
+        this.playCount++;
+    }
+    
+    stop() {
+        this.clipName = null;
+        this.action = null;
+        this.playCount++;
+    }
+    
+    /**
+     * Fire any events passed since the last update - call after the mixer updates
+     * @param {number} deltaTime - Animation time step in seconds
+     */
+    update(deltaTime) {
+        if (!this.clipName) return;
+        
+        const definition = this.definitions[this.clipName];
+        const previous = this.started ? this.time : -1;
+        this.started = true;
+        
+        if (this.action) {
+            // Follow the mixer, which already accounts for speed and looping
+            const duration = this.action.getClip().duration;
+            this.time = duration > 0 ? this.action.time / duration : 1;
+        } else {
+            const duration = definition.duration || 1.0;
+            this.time += deltaTime * this.speed / duration;
+            if (this.time >= 1) {
+                this.time = this.loop ? this.time % 1 : 1;
+            }
+        }
+        
+        // Looped round - events at the end of the last pass, then the start of this one
+        if (this.time < previous) {
+            const playCount = this.playCount;
+            this.dispatch(definition, previous, 1);
+            if (this.playCount === playCount) {
+                this.dispatch(definition, -1, this.time);
+            }
+        } else {
+            this.dispatch(definition, previous, this.time);
+        }
+    }
+    
+    // Events after `from` and up to `to`
+    dispatch(definition, from, to) {
+        const clipName = this.clipName;
+        const playCount = this.playCount;
+        
+        for (const event of definition.events || []) {
+            if (event.time > from && event.time <= to) {
+                this.handler(event.name, clipName);
+                
+                // The handler may have started another clip
+                if (this.playCount !== playCount) return;
+            }
+        }
+    }
+}
\ No newline at end of file
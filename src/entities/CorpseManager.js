@@ -0,0 +1,138 @@
+// src/entities/CorpseManager.js
+
+/**
+ * Dead zombies lie around for a while, then fade out and are removed from
+ * the entity manager, taking their meshes, mixers and bodies with them.
+ * Past `maxCorpses` the oldest bodies start fading early.
+ */
+export class CorpseManager {
+    constructor(engine) {
+        this.engine = engine;
+        
+        // Oldest first - { entity, age, fadeTime, materials }
+        this.corpses = [];
+        
+        // Limits, from the engine config
+        const config = engine.config;
+        this.maxCorpses = config.maxCorpses !== undefined ? config.maxCorpses : 12;
+        this.lifetime = config.corpseLifetime !== undefined ? config.corpseLifetime : 30; // Seconds before fading, 0 for no limit
+        this.fadeDuration = config.corpseFadeDuration !== undefined ? config.corpseFadeDuration : 2.0;
+    }
+    
+    init() {
+        this.engine.events.on('zombie:died', (event) => this.add(event.zombie));
+        console.log("Corpse manager initialized");
+    }
+    
+    /**
+     * Start tracking a dead entity
+     * @param {Object} entity - Entity in the entity manager
+     */
+    add(entity) {
+        if (this.corpses.some(corpse => corpse.entity === entity)) return;
+        
+        this.corpses.push({ entity: entity, age: 0, fadeTime: null, materials: [] });
+        this.enforceLimit();
+    }
+    
+    update(deltaTime) {
+        for (const corpse of [...this.corpses]) {
+            // Already removed some other way
+            if (corpse.entity.enabled === false) {
+                this.forget(corpse);
+                continue;
+            }
+            
+            corpse.age += deltaTime;
+            
+            if (corpse.fadeTime === null) {
+                if (this.lifetime > 0 && corpse.age >= this.lifetime) {
+                    this.startFade(corpse);
+                }
+                continue;
+            }
+            
+            corpse.fadeTime += deltaTime;
+            const opacity = 1 - corpse.fadeTime / this.fadeDuration;
+            if (opacity <= 0) {
+                this.remove(corpse);
+            } else {
+                this.setOpacity(corpse, opacity);
+            }
+        }
+    }
+    
+    /**
+     * Change the limits
+     * @param {Object} options - { maxCorpses, lifetime, fadeDuration }
+     */
+    configure(options = {}) {
+        if (options.maxCorpses !== undefined) this.maxCorpses = options.maxCorpses;
+        if (options.lifetime !== undefined) this.lifetime = options.lifetime;
+        if (options.fadeDuration !== undefined) this.fadeDuration = options.fadeDuration;
+        
+        this.enforceLimit();
+    }
+    
+    // Fade out the oldest bodies over the cap
+    enforceLimit() {
+        const lying = this.corpses.filter(corpse => corpse.fadeTime === null);
+        
+        for (let i = 0; i < lying.length - this.maxCorpses; i++) {
+            this.startFade(lying[i]);
+        }
+    }
+    
+    startFade(corpse) {
+        corpse.fadeTime = 0;
+        
+        const object = corpse.entity.object;
+        if (!object) return;
+        
+        // Clones of the model share materials, so fade copies
+        const fadeCopy = (material) => {
+            const copy = material.clone();
+            copy.transparent = true;
+            copy.userData.baseOpacity = material.opacity;
+            corpse.materials.push(copy);
+            return copy;
+        };
+        
+        object.traverse(node => {
+            if (!node.isMesh || !node.material) return;
+            
+            node.material = Array.isArray(node.material) ? node.material.map(fadeCopy) : fadeCopy(node.material);
+            node.castShadow = false;
+        });
+    }
+    
+    setOpacity(corpse, opacity) {
+        for (const material of corpse.materials) {
+            material.opacity = material.userData.baseOpacity * opacity;
+        }
+    }
+    
+    remove(corpse) {
+        this.forget(corpse);
+        this.engine.entityManager.removeEntity(corpse.entity);
+    }
+    
+    // Stop tracking a corpse and free its faded materials
+    forget(corpse) {
+        const index = this.corpses.indexOf(corpse);
+        if (index !== -1) {
+            this.corpses.splice(index, 1);
+        }
+        
+        for (const material of corpse.materials) {
+            material.dispose();
+        }
+        corpse.materials = [];
+    }
+    
+    clear() {
+        for (const corpse of [...this.corpses]) {
+            this.remove(corpse);
+        }
+    }
+}
\ No newline at end of file
@@ -1,6 +1,20 @@
 // src/entities/EnemyManager.js
-import { Vector3 } from 'three';
-import { Zombie } from './Zombie.js';
+import { Vector3, Frustum, Matrix4, Sphere } from 'three';
+import { WaveDirector } from './WaveDirector.js';
+import { SpawnZone } from './SpawnZone.js';
+
+// Spawn weights used when the map doesn't list any archetypes
+const defaultArchetypes = { walker: 1 };
+
+// Distance from the player new zombies appear at, unless paced otherwise
+const defaultSpawnDistance = { min: 20, max: 30 };
+
+// Random spawn points tried before giving up until the next spawn
+const spawnAttempts = 12;
+
+// Size of a zombie for the visibility and structure checks
+const spawnClearance = 0.5;
+const spawnViewRadius = 1.0;
 
 export class EnemyManager {
     constructor(engine) {
@@ -9,8 +23,19 @@ export class EnemyManager {
         this.maxEnemies = 5; // Maximum number of zombies at once
         this.spawnCooldown = 5; // Seconds between spawns
         this.lastSpawnTime = 0;
-        this.spawnPoints = []; // Will be populated from map data
+        this.spawnPoints = []; // Fixed spawn positions
+        this.spawnZones = []; // Map areas to spawn in (see SpawnZone)
+        this.archetypes = defaultArchetypes; // Archetype id -> spawn weight, from map data
+        
+        // Pacing, set by the AI director - spawn cadence multiplier, distance and weight multipliers
+        this.spawnRate = 1.0;
+        this.spawnDistance = defaultSpawnDistance;
+        this.archetypeBias = {};
         this.enabled = true;
+        
+        // 'waves' spawns in rounds (see WaveDirector), 'continuous' keeps topping up to maxEnemies
+        this.mode = 'waves';
+        this.waves = new WaveDirector(engine, this);
     }
     
     init() {
@@ -38,11 +63,19 @@ export class EnemyManager {
     update(deltaTime) {
         if (!this.enabled) return;
         
-        // Check if we should spawn new enemies
-        const currentTime = performance.now() / 1000;
-        if (currentTime - this.lastSpawnTime > this.spawnCooldown) {
-            this.trySpawnEnemy();
-            this.lastSpawnTime = currentTime;
+        if (this.mode === 'waves') {
+            // Rounds start counting down as soon as there's something to spawn for
+            if (this.waves.state === 'idle') {
+                this.waves.start();
+            }
+            this.waves.update(deltaTime);
+        } else {
+            // Check if we should spawn new enemies (on game time, so not while paused)
+            const currentTime = this.engine.gameTime;
+            if (currentTime - this.lastSpawnTime > this.spawnCooldown / this.spawnRate) {
+                this.trySpawnEnemy();
+                this.lastSpawnTime = currentTime;
+            }
         }
         
         // Clean up dead enemies
@@ -58,37 +91,113 @@ export class EnemyManager {
         if (!player) return;
         
         // Find a spawn point that's not too close to the player
-        const spawnPoint = this.getValidSpawnPoint(player.position);
-        if (!spawnPoint) return;
+        const spawn = this.findSpawn(player.position);
+        if (!spawn) return;
         
         // Create new zombie
-        this.spawnZombie(spawnPoint);
+        this.spawnZombie(spawn.position, spawn.archetype);
     }
     
-    async spawnZombie(position) {
+    /**
+     * Spawn a zombie
+     * @param {Vector3} position - Spawn position
+     * @param {string} archetype - Archetype id, picked by spawn weight if omitted
+     * @param {Object} overrides - Values replacing the archetype's (e.g. round scaling)
+     * @returns {Promise<Zombie|null>} - The zombie, or null if it couldn't be spawned
+     */
+    async spawnZombie(position, archetype = this.pickArchetype(), overrides = {}) {
+        if (!archetype) return null;
+        
         try {
-            // Create zombie
-            const zombie = new Zombie(this.engine, position);
-            
-            // Initialize zombie
-            await zombie.init(this.engine);
+            // Create and initialize the zombie from its archetype
+            const zombie = await this.engine.zombieRegistry.createZombie(archetype, position, overrides);
+            if (!zombie) return null;
             
             // Add to entity manager and enemies list
             this.engine.entityManager.addEntity(zombie);
             this.enemies.push(zombie);
             
-            console.log(`Spawned zombie at ${position.x}, ${position.y}, ${position.z}`);
+            console.log(`Spawned ${archetype} at ${position.x}, ${position.y}, ${position.z}`);
+            return zombie;
         } catch (error) {
             console.error("Failed to spawn zombie:", error);
+            return null;
         }
     }
     
+    /**
+     * Pick where the next zombie appears and what it is. While any of the map's
+     * spawn zones are open, zombies spawn in those, unless none of them has a
+     * suitable spot right now (e.g. all too close to the player).
+     * @param {Vector3} playerPosition - Player position
+     * @returns {Object|null} - { position, archetype }, or null if nowhere suitable was found
+     */
+    findSpawn(playerPosition) {
+        const zones = this.getActiveSpawnZones();
+        const frustum = zones.length > 0 ? this.getViewFrustum() : null;
+        
+        // Try the zones in weighted random order
+        const remaining = [...zones];
+        while (remaining.length > 0) {
+            const total = remaining.reduce((sum, zone) => sum + zone.weight, 0);
+            let roll = Math.random() * total;
+            let index = remaining.findIndex(zone => (roll -= zone.weight) < 0);
+            if (index === -1) index = remaining.length - 1;
+            
+            const zone = remaining.splice(index, 1)[0];
+            
+            // Everything the zone allows may be paced out for now
+            const archetype = this.pickArchetype(zone.archetypes);
+            if (!archetype) continue;
+            
+            const position = this.getZoneSpawnPoint(zone, playerPosition, frustum);
+            if (position) {
+                return { position: position, archetype: archetype };
+            }
+        }
+        
+        // No open zone with room - spawn around the player rather than not at all
+        const archetype = this.pickArchetype();
+        const position = archetype ? this.getValidSpawnPoint(playerPosition) : null;
+        return position ? { position: position, archetype: archetype } : null;
+    }
+    
+    getActiveSpawnZones() {
+        const round = this.mode === 'waves' ? this.waves.round : 0;
+        return this.spawnZones.filter(zone => zone.isActive(round));
+    }
+    
+    // Random point in a zone that passes the same checks as getValidSpawnPoint
+    getZoneSpawnPoint(zone, playerPosition, frustum) {
+        for (let attempt = 0; attempt < spawnAttempts; attempt++) {
+            // Square root spreads the points evenly over the area
+            const distance = zone.radius * Math.sqrt(Math.random());
+            const point = this.getGroundPoint(zone.center, distance, Math.random() * Math.PI * 2);
+            
+            if (this.getGroundDistance(point, playerPosition) > this.spawnDistance.min &&
+                !this.isInsideStructure(point) && !this.isInView(point, frustum)) {
+                return point;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Pick where the next zombie appears: far enough from the player, out of
+     * their view and clear of structures
+     * @param {Vector3} playerPosition - Player position
+     * @returns {Vector3|null} - Spawn position, or null if nowhere suitable was found
+     */
     getValidSpawnPoint(playerPosition) {
+        const frustum = this.getViewFrustum();
+        
         // If we have predefined spawn points, use those
         if (this.spawnPoints.length > 0) {
-            // Filter spawn points that are far enough from player
+            // Filter spawn points that are far enough from player and not in sight
             const validSpawnPoints = this.spawnPoints.filter(point => 
-                point.distanceTo(playerPosition) > 15
+                this.getGroundDistance(point, playerPosition) > this.spawnDistance.min &&
+                !this.isInView(point, frustum)
             );
             
             if (validSpawnPoints.length > 0) {
@@ -97,26 +206,203 @@ export class EnemyManager {
             }
         }
         
-        // Fallback: generate a random position around the player but not too close
-        const angle = Math.random() * Math.PI * 2;
-        const distance = 20 + Math.random() * 10; // Between 20-30 units away
+        // Fallback: random points on the ground around the player
+        for (let attempt = 0; attempt < spawnAttempts; attempt++) {
+            const point = this.sampleSpawnPoint(playerPosition);
+            
+            if (!this.isInsideStructure(point) && !this.isInView(point, frustum)) {
+                return point;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Random point on the ground spawnDistance away from a position.
+     * On a planet the distance is measured along the surface (great circle).
+     * @param {Vector3} origin - Position to measure from
+     * @returns {Vector3} - Point at standing height
+     */
+    sampleSpawnPoint(origin) {
+        const { min, max } = this.spawnDistance;
+        return this.getGroundPoint(origin, min + Math.random() * (max - min), Math.random() * Math.PI * 2);
+    }
+    
+    /**
+     * Point on the ground at a distance and bearing from a position
+     * @param {Vector3} origin - Position to measure from (projected onto the planet)
+     * @param {number} distance - Distance along the ground
+     * @param {number} bearing - Direction in radians around the local up axis
+     * @returns {Vector3} - Point at standing height
+     */
+    getGroundPoint(origin, distance, bearing) {
+        const planetBody = this.engine.physics.planetBody;
+        if (!planetBody) {
+            return new Vector3(
+                origin.x + Math.cos(bearing) * distance,
+                origin.y,
+                origin.z + Math.sin(bearing) * distance
+            );
+        }
+        
+        // Heading along the ground from the origin
+        const up = new Vector3().subVectors(origin, planetBody.center).normalize();
+        const right = new Vector3().crossVectors(up, new Vector3(0, 0, 1));
+        if (right.lengthSq() < 0.1) {
+            right.crossVectors(up, new Vector3(1, 0, 0));
+        }
+        right.normalize();
+        const forward = new Vector3().crossVectors(right, up);
+        const heading = right.multiplyScalar(Math.cos(bearing)).addScaledVector(forward, Math.sin(bearing));
+        
+        // Follow the great circle that way for the distance (no further than the far side)
+        const angle = Math.min(distance / planetBody.radius, Math.PI);
+        const direction = up.multiplyScalar(Math.cos(angle)).addScaledVector(heading, Math.sin(angle));
+        
+        return direction.multiplyScalar(planetBody.radius + planetBody.surfaceOffset + spawnClearance)
+            .add(planetBody.center);
+    }
+    
+    /**
+     * Distance between two positions as spawnDistance measures it: along the
+     * planet surface (great circle), or straight on a flat world
+     * @param {Vector3} a - First position
+     * @param {Vector3} b - Second position
+     * @returns {number}
+     */
+    getGroundDistance(a, b) {
+        const planetBody = this.engine.physics.planetBody;
+        if (!planetBody) return a.distanceTo(b);
         
-        return new Vector3(
-            playerPosition.x + Math.cos(angle) * distance,
-            playerPosition.y,
-            playerPosition.z + Math.sin(angle) * distance
-        );
+        const directionA = new Vector3().subVectors(a, planetBody.center).normalize();
+        const directionB = new Vector3().subVectors(b, planetBody.center).normalize();
+        return directionA.angleTo(directionB) * planetBody.radius;
+    }
+    
+    // Whether a zombie standing at point would overlap a structure
+    isInsideStructure(point) {
+        const navigation = this.engine.navigation;
+        if (navigation && navigation.isBaked) {
+            return navigation.isDirectionBlocked(navigation.getDirection(point));
+        }
+        
+        // No grid baked (flat world) - test the point against the box structures
+        return this.engine.physics.staticBodies.some(body => {
+            const halfExtents = body.halfExtents;
+            if (body.isPlanet || !halfExtents) return false;
+            
+            return Math.abs(point.x - body.position.x) <= halfExtents.x + spawnClearance &&
+                   Math.abs(point.y - body.position.y) <= halfExtents.y + spawnClearance &&
+                   Math.abs(point.z - body.position.z) <= halfExtents.z + spawnClearance;
+        });
+    }
+    
+    // The player camera's view volume, or null without a camera
+    getViewFrustum() {
+        const camera = this.engine.camera && this.engine.camera.camera;
+        if (!camera) return null;
+        
+        camera.updateMatrixWorld();
+        const viewProjection = new Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+        return new Frustum().setFromProjectionMatrix(viewProjection);
+    }
+    
+    isInView(point, frustum) {
+        if (!frustum) return false;
+        
+        return frustum.intersectsSphere(new Sphere(point, spawnViewRadius));
+    }
+    
+    /**
+     * Weighted random archetype id, with the pacing's bias applied
+     * @param {Array<string>} allowed - Only pick from these (e.g. a spawn zone's), any if null
+     * @returns {string|null} - Archetype id, or null if the pacing rules out every candidate
+     */
+    pickArchetype(allowed = null) {
+        let ids = Object.keys(this.archetypes);
+        if (allowed) {
+            // Allowed ones the map doesn't weight get an even chance
+            const weighted = ids.filter(id => allowed.includes(id));
+            ids = weighted.length > 0 ? weighted : allowed;
+        }
+        
+        const entries = ids.map(id => [
+            id,
+            (this.archetypes[id] !== undefined ? this.archetypes[id] : 1) *
+                (this.archetypeBias[id] !== undefined ? this.archetypeBias[id] : 1)
+        ]);
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        
+        // e.g. a brute-only zone while the director has brutes at 0 - nothing to spawn
+        if (total <= 0) return null;
+        
+        let roll = Math.random() * total;
+        for (const [id, weight] of entries) {
+            roll -= weight;
+            if (roll < 0) return id;
+        }
+        
+        // Rounding left the roll just short
+        return entries[entries.length - 1][0];
     }
     
     setSpawnPoints(points) {
         this.spawnPoints = points;
     }
     
+    /**
+     * Set the map's spawn zones
+     * @param {Array} zones - Zone entries (see SpawnZone), or null for none
+     */
+    setSpawnZones(zones) {
+        for (const zone of this.spawnZones) {
+            zone.detach();
+        }
+        
+        this.spawnZones = Array.isArray(zones) ?
+            zones.filter(data => data && data.center).map(data => new SpawnZone(this.engine, data)) :
+            [];
+    }
+    
+    /**
+     * Set which archetypes the spawner picks from
+     * @param {Object} archetypes - Archetype id -> spawn weight, or null for the default
+     */
+    setArchetypes(archetypes) {
+        this.archetypes = archetypes && Object.keys(archetypes).length > 0 ? archetypes : defaultArchetypes;
+    }
+    
+    /**
+     * Adjust spawning to the AI director's current phase
+     * @param {Object} pacing - { spawnRate, spawnDistance: { min, max }, archetypeBias }, or null to reset
+     */
+    setPacing(pacing) {
+        this.spawnRate = pacing && pacing.spawnRate !== undefined ? pacing.spawnRate : 1.0;
+        this.spawnDistance = pacing && pacing.spawnDistance ? pacing.spawnDistance : defaultSpawnDistance;
+        this.archetypeBias = pacing && pacing.archetypeBias ? pacing.archetypeBias : {};
+    }
+    
+    /**
+     * Choose how enemies spawn
+     * @param {string} mode - 'waves' or 'continuous'
+     * @param {Object} waves - Round settings (see DefaultWaves), or null for the defaults
+     */
+    setMode(mode = 'waves', waves = null) {
+        this.mode = mode;
+        this.waves.configure(waves);
+        this.waves.reset();
+    }
+    
     clear() {
         // Remove all enemies
         for (const enemy of this.enemies) {
             this.engine.entityManager.removeEntity(enemy);
         }
         this.enemies = [];
+        this.setSpawnZones(null);
+        
+        // Start again from the first round
+        this.waves.reset();
     }
 }
\ No newline at end of file
@@ -115,6 +115,27 @@ export class EntityManager {
         return this.entities.find(e => e.id === id) || null;
     }
     
+    /**
+     * Find the entity that owns a 3D object
+     * Walks up the object's parents so hits on child meshes (e.g. skinned
+     * meshes inside a zombie model) resolve to the owning entity
+     * @param {Object3D} object - Object to look up
+     * @returns {Object|null} - Owning entity or null
+     */
+    getEntityByObject(object) {
+        let node = object;
+        
+        while (node) {
+            const entity = this.entities.find(e => e.object === node);
+            if (entity) {
+                return entity;
+            }
+            node = node.parent;
+        }
+        
+        return null;
+    }
+    
     /**
      * Find entities by type
      * @param {string} type - Entity type
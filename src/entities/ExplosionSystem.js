@@ -0,0 +1,139 @@
+// src/entities/ExplosionSystem.js
+import { Vector3 } from 'three';
+
+export class ExplosionSystem {
+    constructor(engine) {
+        this.engine = engine;
+        
+        // Occlusion rays start this far above the ground so they don't begin inside the planet
+        this.originLift = 0.3;
+    }
+    
+    /**
+     * Deal radial damage and push bodies away from a point
+     * @param {Object} options - Explosion options
+     * @param {Vector3} options.position - Explosion centre
+     * @param {number} options.radius - Radius of effect
+     * @param {number} options.damage - Damage at the centre
+     * @param {number} options.minDamageMultiplier - Fraction of damage dealt at the edge
+     * @param {number} options.impulse - Impulse applied at the centre
+     * @param {boolean} options.occlusion - Structures block damage and impulse (default true)
+     * @param {Object} options.source - Weapon or object that caused the explosion
+     * @param {Object} options.attacker - Entity responsible for the explosion
+     * @returns {Array} - Entities that took damage
+     */
+    explode(options = {}) {
+        const position = options.position.clone();
+        const radius = options.radius || 5;
+        const damage = options.damage || 0;
+        const minDamageMultiplier = options.minDamageMultiplier || 0;
+        const impulse = options.impulse || 0;
+        const occlusion = options.occlusion !== false;
+        
+        // Occlusion rays start slightly above the surface at the explosion point
+        const origin = position.clone().addScaledVector(this.getSurfaceNormal(position), this.originLift);
+        
+        // Damage entities in range (the player isn't managed by the entity manager)
+        const damaged = [];
+        const targets = this.engine.entityManager.getEntitiesInRadius(position, radius);
+        const player = this.engine.player;
+        if (player && player.position.distanceTo(position) <= radius) {
+            targets.push(player);
+        }
+        
+        for (const entity of targets) {
+            if (typeof entity.takeDamage !== 'function') continue;
+            if (entity.isAlive === false || entity.isDead) continue;
+            
+            const distance = entity.position.distanceTo(position);
+            if (occlusion && this.isOccluded(origin, entity.position)) continue;
+            
+            const amount = damage * this.getFalloff(distance, radius, minDamageMultiplier);
+            if (amount <= 0) continue;
+            
+            entity.takeDamage(amount, {
+                type: 'explosion',
+                weapon: options.source || null,
+                attacker: options.attacker || null,
+                entity: entity,
+                point: position.clone(),
+                normal: entity.position.clone().sub(position).normalize(),
+                zone: null,
+                damage: amount
+            });
+            damaged.push(entity);
+        }
+        
+        // Push dynamic bodies away along the planet surface
+        if (impulse > 0) {
+            this.applyImpulses(position, origin, radius, impulse, occlusion);
+        }
+        
+        this.engine.events.emit('explosion', {
+            position: position,
+            radius: radius,
+            damage: damage,
+            source: options.source || null,
+            attacker: options.attacker || null,
+            damaged: damaged
+        });
+        
+        return damaged;
+    }
+    
+    applyImpulses(position, origin, radius, impulse, occlusion) {
+        for (const body of this.engine.physics.bodies) {
+            const distance = body.position.distanceTo(position);
+            if (distance > radius) continue;
+            if (occlusion && this.isOccluded(origin, body.position)) continue;
+            
+            // Direction away from the explosion, flattened onto the tangent plane at the body
+            const normal = this.getSurfaceNormal(body.position);
+            const direction = body.position.clone().sub(position);
+            direction.addScaledVector(normal, -direction.dot(normal));
+            
+            // Bodies right on top of the explosion get pushed in a random direction
+            if (direction.lengthSq() < 0.0001) {
+                direction.set(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5);
+                direction.addScaledVector(normal, -direction.dot(normal));
+            }
+            direction.normalize();
+            
+            body.applyImpulse(direction.multiplyScalar(impulse * this.getFalloff(distance, radius, 0)));
+        }
+    }
+    
+    /**
+     * Check if structures or the planet block the line between two points
+     * @param {Vector3} from - Start point
+     * @param {Vector3} to - End point
+     * @returns {boolean} - True if blocked
+     */
+    isOccluded(from, to) {
+        const direction = new Vector3().subVectors(to, from);
+        const distance = direction.length();
+        if (distance < 0.001) return false;
+        
+        const hit = this.engine.physics.raycast(
+            from,
+            direction.divideScalar(distance),
+            distance,
+            { includeDynamic: false }
+        );
+        
+        return hit.hit;
+    }
+    
+    // Linear falloff from full strength at the centre to minMultiplier at the edge
+    getFalloff(distance, radius, minMultiplier) {
+        const t = Math.min(distance / radius, 1.0);
+        return 1.0 - t * (1.0 - minMultiplier);
+    }
+    
+    getSurfaceNormal(position) {
+        const planetBody = this.engine.physics.planetBody;
+        if (!planetBody) return new Vector3(0, 1, 0);
+        
+        return new Vector3().subVectors(position, planetBody.center).normalize();
+    }
+}
\ No newline at end of file
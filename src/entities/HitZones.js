@@ -0,0 +1,163 @@
+// src/entities/HitZones.js
+import { Vector3 } from 'three';
+
+/**
+ * Default hit zones for humanoid skeletons
+ * Keys of `bone`, `from` and `to` match the bones cached by Zombie.findBones().
+ * A zone with `bone` spans from that bone's parent to its first child bone,
+ * so e.g. the cached forearm bone covers the whole arm.
+ */
+export const DefaultHitZones = {
+    head: { bone: 'head', radius: 0.14, multiplier: 2.5 },
+    torso: { from: 'hips', to: 'neck', radius: 0.24, multiplier: 1.0 },
+    leftArm: { bone: 'leftArm', radius: 0.08, multiplier: 0.6 },
+    rightArm: { bone: 'rightArm', radius: 0.08, multiplier: 0.6 },
+    leftLeg: { bone: 'leftLeg', radius: 0.1, multiplier: 0.6 },
+    rightLeg: { bone: 'rightLeg', radius: 0.1, multiplier: 0.6 }
+};
+
+/**
+ * Capsule hit zones that follow a skinned skeleton
+ */
+export class HitZones {
+    /**
+     * Create hit zones for an entity
+     * @param {Object} bones - Bone references (see Zombie.findBones)
+     * @param {Object} definitions - Zone definitions keyed by zone name
+     */
+    constructor(bones, definitions = DefaultHitZones) {
+        this.zones = [];
+        
+        // Scales zone radii for bigger or smaller variants
+        this.radiusScale = 1.0;
+        
+        for (const [name, definition] of Object.entries(definitions)) {
+            const segment = this.resolveSegment(bones, definition);
+            if (!segment) continue;
+            
+            this.zones.push({
+                name: name,
+                radius: definition.radius,
+                multiplier: definition.multiplier,
+                startBone: segment.start,
+                endBone: segment.end,
+                start: new Vector3(),
+                end: new Vector3()
+            });
+        }
+    }
+    
+    /**
+     * Find the bones at both ends of a zone's capsule
+     * @param {Object} bones - Bone references
+     * @param {Object} definition - Zone definition
+     * @returns {Object|null} - Start and end bones or null if missing
+     */
+    resolveSegment(bones, definition) {
+        if (definition.from && definition.to) {
+            const start = bones[definition.from];
+            const end = bones[definition.to];
+            return start && end ? { start, end } : null;
+        }
+        
+        const bone = bones[definition.bone];
+        if (!bone) return null;
+        
+        const parent = bone.parent && bone.parent.isBone ? bone.parent : bone;
+        const child = bone.children.find(node => node.isBone) || bone;
+        
+        return { start: parent, end: child };
+    }
+    
+    /**
+     * Whether any zones could be built from the skeleton
+     * @returns {boolean}
+     */
+    hasZones() {
+        return this.zones.length > 0;
+    }
+    
+    /**
+     * Update capsule end points from the current skeleton pose
+     */
+    update() {
+        for (const zone of this.zones) {
+            zone.startBone.getWorldPosition(zone.start);
+            zone.endBone.getWorldPosition(zone.end);
+        }
+    }
+    
+    /**
+     * Find the zone hit by a ray or, failing that, the zone closest to a point
+     * on the entity's surface (the mesh hit may miss every capsule slightly)
+     * @param {Ray} ray - World space ray
+     * @param {Vector3} point - Hit point on the entity's mesh
+     * @returns {Object|null} - Zone or null if there are no zones
+     */
+    resolveHit(ray, point) {
+        if (this.zones.length === 0) return null;
+        
+        this.update();
+        
+        return this.raycast(ray) || this.findClosestZone(point);
+    }
+    
+    /**
+     * Find the first capsule along a ray
+     * @param {Ray} ray - World space ray
+     * @returns {Object|null} - Closest zone hit or null
+     */
+    raycast(ray) {
+        const pointOnRay = new Vector3();
+        let closestZone = null;
+        let closestDistance = Infinity;
+        
+        for (const zone of this.zones) {
+            const radius = zone.radius * this.radiusScale;
+            const distanceSq = ray.distanceSqToSegment(zone.start, zone.end, pointOnRay);
+            
+            if (distanceSq > radius * radius) continue;
+            
+            // Step back from the closest approach to where the ray enters the capsule
+            const entryDistance = pointOnRay.distanceTo(ray.origin) -
+                Math.sqrt(radius * radius - distanceSq);
+            
+            if (entryDistance < closestDistance) {
+                closestDistance = entryDistance;
+                closestZone = zone;
+            }
+        }
+        
+        return closestZone;
+    }
+    
+    /**
+     * Find the zone whose capsule surface is closest to a point
+     * @param {Vector3} point - World space point
+     * @returns {Object|null} - Closest zone
+     */
+    findClosestZone(point) {
+        const closestOnSegment = new Vector3();
+        const segment = new Vector3();
+        let closestZone = null;
+        let closestDistance = Infinity;
+        
+        for (const zone of this.zones) {
+            // Project the point onto the capsule's segment
+            segment.subVectors(zone.end, zone.start);
+            const lengthSq = segment.lengthSq();
+            const t = lengthSq > 0 ?
+                Math.max(0, Math.min(1, closestOnSegment.subVectors(point, zone.start).dot(segment) / lengthSq)) :
+                0;
+            closestOnSegment.copy(zone.start).addScaledVector(segment, t);
+            
+            const distance = closestOnSegment.distanceTo(point) - zone.radius * this.radiusScale;
+            if (distance < closestDistance) {
+                closestDistance = distance;
+                closestZone = zone;
+            }
+        }
+        
+        return closestZone;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,306 @@
+// src/entities/LocomotionBlend.js
+import { AnimationClip, LoopOnce, LoopRepeat } from 'three';
+
+// Lower/upper body halves of clips, shared by every zombie using the same rig
+const splitClips = new WeakMap();
+
+/**
+ * One-dimensional blend space over locomotion clips, driven by ground speed
+ *
+ * Each point is { clip, speed, minTimeScale?, maxTimeScale? } where `speed`
+ * is the ground speed (m/s) the clip matches at normal playback - 0 for
+ * idle. Neighbouring clips are mixed by weight, each clip's playback rate
+ * follows the actual speed so the feet don't slide, and all clips share one
+ * phase so their footfalls stay in step.
+ *
+ * An upper-body layer can play a clip (e.g. an attack) over the top while
+ * the legs keep walking. That needs the rig's upper-body bones; without
+ * them layered clips play on the whole body.
+ */
+export class LocomotionBlend {
+    /**
+     * @param {AnimationMixer} mixer - Mixer of the animated object
+     * @param {Object} animations - Clip name -> AnimationClip
+     * @param {Set<string>|null} upperBodyBones - Bone names from the spine up (see findUpperBodyBones)
+     */
+    constructor(mixer, animations, upperBodyBones = null) {
+        this.mixer = mixer;
+        this.animations = animations;
+        this.upperBodyBones = upperBodyBones && upperBodyBones.size > 0 ? upperBodyBones : null;
+        
+        // Blend points, sorted by speed
+        this.points = [];
+        this.speedScale = 1.0; // Larger bodies take longer strides
+        
+        // Overall weight, faded in and out as full-body clips take over
+        this.weight = 0;
+        this.targetWeight = 0;
+        this.fadeTime = 0.2;
+        
+        // Shared cycle position (0-1) and smoothed ground speed
+        this.phase = 0;
+        this.speed = 0;
+        this.speedSmoothing = 8.0;
+        
+        // Actions per clip - { lower, upper } when layering, else { lower } for the whole body
+        this.actions = new Map();
+        
+        // Upper-body layer
+        this.layer = null; // { name, action, loop, weight, targetWeight }
+    }
+    
+    /**
+     * Set the clips to blend between
+     * @param {Array<Object>} points - Blend points (see class comment)
+     * @param {number} speedScale - Multiplier on each point's speed
+     */
+    setPoints(points, speedScale = 1.0) {
+        // Stop clips that are no longer part of the blend
+        for (const actions of this.actions.values()) {
+            for (const action of Object.values(actions)) {
+                action.stop();
+            }
+        }
+        this.actions.clear();
+        
+        this.speedScale = speedScale;
+        this.points = points
+            .filter(point => this.animations[point.clip])
+            .sort((a, b) => a.speed - b.speed);
+    }
+    
+    hasClips() {
+        return this.points.length > 0;
+    }
+    
+    isActive() {
+        return this.targetWeight > 0;
+    }
+    
+    // Fade the blend in (locomotion) or out (a full-body clip is taking over)
+    setActive(active) {
+        this.targetWeight = active ? 1 : 0;
+        if (!active) {
+            this.stopUpperBody();
+        }
+    }
+    
+    /**
+     * Play a clip on the upper body over the locomotion
+     * @param {string} name - Clip name
+     * @param {boolean} loop - Whether to loop
+     * @param {number} timeScale - Playback speed
+     * @returns {AnimationAction|null} - The layered action, or null if the clip is missing
+     */
+    playUpperBody(name, loop = false, timeScale = 1.0) {
+        const clip = this.animations[name];
+        if (!clip) return null;
+        
+        const action = this.mixer.clipAction(this.upperBodyBones ? this.getSplitClip(clip).upper : clip);
+        action.reset();
+        action.loop = loop ? LoopRepeat : LoopOnce;
+        action.clampWhenFinished = !loop;
+        action.timeScale = timeScale;
+        action.setEffectiveWeight(0);
+        action.play();
+        
+        // Restarting the same clip keeps its current weight
+        const weight = this.layer && this.layer.action === action ? this.layer.weight : 0;
+        if (this.layer && this.layer.action !== action) {
+            this.layer.action.stop();
+        }
+        
+        this.layer = { name, action, loop, weight, targetWeight: 1 };
+        return action;
+    }
+    
+    stopUpperBody() {
+        if (this.layer) {
+            this.layer.targetWeight = 0;
+        }
+    }
+    
+    /**
+     * Advance the blend - call before the mixer updates
+     * @param {number} deltaTime - Animation time step in seconds
+     * @param {number} groundSpeed - Current speed along the ground in m/s
+     */
+    update(deltaTime, groundSpeed) {
+        if (this.points.length === 0) return;
+        
+        const fadeStep = deltaTime / this.fadeTime;
+        this.weight += Math.max(-fadeStep, Math.min(fadeStep, this.targetWeight - this.weight));
+        this.speed += (groundSpeed - this.speed) * Math.min(1, this.speedSmoothing * deltaTime);
+        
+        const weights = this.getPointWeights(this.speed);
+        
+        // Advance the shared phase by the weighted cycle rate of the mixed clips
+        let cycleRate = 0;
+        for (let i = 0; i < this.points.length; i++) {
+            if (weights[i] === 0) continue;
+            const clip = this.animations[this.points[i].clip];
+            cycleRate += weights[i] * this.getTimeScale(this.points[i]) / Math.max(clip.duration, 0.001);
+        }
+        this.phase = (this.phase + cycleRate * deltaTime) % 1;
+        
+        // Upper-body layer fades over the locomotion's upper half
+        const layerWeight = this.updateLayer(fadeStep);
+        
+        for (let i = 0; i < this.points.length; i++) {
+            const actions = this.getActions(this.points[i].clip);
+            const clip = this.animations[this.points[i].clip];
+            const weight = weights[i] * this.weight;
+            
+            for (const [part, action] of Object.entries(actions)) {
+                // The mixer samples wherever we put the time - it doesn't advance it
+                action.time = this.phase * clip.duration;
+                action.setEffectiveWeight(part === 'upper' || !this.upperBodyBones ?
+                    weight * (1 - layerWeight) : weight);
+            }
+        }
+    }
+    
+    updateLayer(fadeStep) {
+        const layer = this.layer;
+        if (!layer) return 0;
+        
+        // One-shot clips hand back to the locomotion once they finish
+        if (!layer.loop && layer.action.time >= layer.action.getClip().duration) {
+            layer.targetWeight = 0;
+        }
+        
+        layer.weight += Math.max(-fadeStep, Math.min(fadeStep, layer.targetWeight - layer.weight));
+        if (layer.weight <= 0 && layer.targetWeight === 0) {
+            layer.action.stop();
+            this.layer = null;
+            return 0;
+        }
+        
+        const weight = layer.weight * this.weight;
+        layer.action.setEffectiveWeight(weight);
+        return weight;
+    }
+    
+    // Weight of each point at a ground speed
+    getPointWeights(speed) {
+        const weights = this.points.map(() => 0);
+        const last = this.points.length - 1;
+        
+        if (speed <= this.getPointSpeed(0)) {
+            weights[0] = 1;
+        } else if (speed >= this.getPointSpeed(last)) {
+            weights[last] = 1;
+        } else {
+            for (let i = 0; i < last; i++) {
+                const from = this.getPointSpeed(i);
+                const to = this.getPointSpeed(i + 1);
+                if (speed <= to) {
+                    const t = to > from ? (speed - from) / (to - from) : 1;
+                    weights[i] = 1 - t;
+                    weights[i + 1] = t;
+                    break;
+                }
+            }
+        }
+        
+        return weights;
+    }
+    
+    getPointSpeed(index) {
+        return this.points[index].speed * this.speedScale;
+    }
+    
+    // Playback rate that matches a clip's stride to the current speed
+    getTimeScale(point) {
+        if (point.speed <= 0) return 1.0;
+        
+        const minTimeScale = point.minTimeScale !== undefined ? point.minTimeScale : 0.5;
+        const maxTimeScale = point.maxTimeScale !== undefined ? point.maxTimeScale : 2.0;
+        const timeScale = this.speed / (point.speed * this.speedScale);
+        
+        return Math.max(minTimeScale, Math.min(maxTimeScale, timeScale));
+    }
+    
+    getActions(clipName) {
+        if (!this.actions.has(clipName)) {
+            const clip = this.animations[clipName];
+            let actions;
+            
+            if (this.upperBodyBones) {
+                const split = this.getSplitClip(clip);
+                actions = {
+                    lower: this.mixer.clipAction(split.lower),
+                    upper: this.mixer.clipAction(split.upper)
+                };
+            } else {
+                actions = { lower: this.mixer.clipAction(clip) };
+            }
+            
+            for (const action of Object.values(actions)) {
+                action.setEffectiveTimeScale(0);
+                action.setEffectiveWeight(0);
+                action.play();
+            }
+            this.actions.set(clipName, actions);
+        }
+        
+        return this.actions.get(clipName);
+    }
+    
+    getSplitClip(clip) {
+        if (!splitClips.has(clip)) {
+            const lower = [];
+            const upper = [];
+            
+            for (const track of clip.tracks) {
+                const boneName = track.name.split('.')[0];
+                (this.upperBodyBones.has(boneName) ? upper : lower).push(track);
+            }
+            
+            splitClips.set(clip, {
+                lower: new AnimationClip(`${clip.name}_lower`, clip.duration, lower),
+                upper: new AnimationClip(`${clip.name}_upper`, clip.duration, upper)
+            });
+        }
+        
+        return splitClips.get(clip);
+    }
+    
+    stop() {
+        for (const actions of this.actions.values()) {
+            for (const action of Object.values(actions)) {
+                action.stop();
+            }
+        }
+        this.actions.clear();
+        
+        if (this.layer) {
+            this.layer.action.stop();
+            this.layer = null;
+        }
+    }
+    
+    /**
+     * Names of the bones from the first spine bone up (spine, arms, neck, head)
+     * @param {Object3D} object - Skinned model
+     * @returns {Set<string>} - Bone names, empty if the rig has no spine
+     */
+    static findUpperBodyBones(object) {
+        let spineRoot = null;
+        object.traverse(node => {
+            if (spineRoot || !(node.isBone || node.type === 'Bone')) return;
+            
+            const parentIsBone = node.parent && (node.parent.isBone || node.parent.type === 'Bone');
+            const parentIsSpine = parentIsBone && node.parent.name.toLowerCase().includes('spine');
+            if (node.name.toLowerCase().includes('spine') && !parentIsSpine) {
+                spineRoot = node;
+            }
+        });
+        
+        const names = new Set();
+        if (spineRoot) {
+            spineRoot.traverse(node => names.add(node.name));
+        }
+        return names;
+    }
+}
\ No newline at end of file
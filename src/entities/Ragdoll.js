@@ -0,0 +1,383 @@
+// src/entities/Ragdoll.js
+import { Vector3, Quaternion, Matrix4 } from 'three';
+import { BoxCollider } from '../physics/Collider.js';
+
+// Fingers, toes and end bones just follow their parent
+const ignoredBones = /thumb|index|middle|ring|pinky|toe|_end$/i;
+
+// Scratch values for the per-step maths
+const scratch = new Vector3();
+const velocity = new Vector3();
+const gravity = new Vector3();
+const parentQuaternion = new Quaternion();
+const restBasis = new Matrix4();
+const currentBasis = new Matrix4();
+
+/**
+ * Physics ragdoll built from a skinned model's bones
+ *
+ * Each bone is a particle joined to its parent, grandparent and siblings by
+ * distance constraints (Verlet integration). Particles fall toward the
+ * planet centre and rest on its surface and on structures. Every frame the
+ * bones are turned to point at their simulated children, so the mesh
+ * follows the particles. Once everything stops moving the ragdoll sleeps.
+ */
+export class Ragdoll {
+    /**
+     * @param {Engine} engine - Game engine
+     * @param {Object} bones - Bone references (see Zombie.findBones)
+     * @param {Object} options - { radius, friction }
+     */
+    constructor(engine, bones, options = {}) {
+        this.engine = engine;
+        
+        // Particles in skeleton order (parents before children) and the links between them
+        this.particles = [];
+        this.constraints = [];
+        
+        // Simulation settings
+        this.radius = options.radius !== undefined ? options.radius : 0.1; // Flesh around each joint
+        this.friction = options.friction !== undefined ? options.friction : 0.6;
+        this.damping = 0.99; // Velocity kept per step
+        this.iterations = 6; // Constraint passes per step
+        this.grandparentStiffness = 0.3; // Loose, so joints bend without folding flat
+        this.impulseRadius = 0.6; // Particles this close to the hit point get pushed
+        
+        // Fixed steps for stability
+        this.fixedTimeStep = 1 / 60;
+        this.maxSubSteps = 4;
+        this.accumulator = 0;
+        
+        // Sleep once every particle has been nearly still for a while
+        this.sleepSpeed = 0.05;
+        this.sleepDelay = 1.0;
+        this.restTime = 0;
+        this.sleeping = false;
+        
+        this.active = false;
+        
+        this.build(bones);
+    }
+    
+    // One particle per bone from the hips down, skipping fingers and toes
+    build(bones) {
+        if (!bones.hips) return;
+        
+        const cached = new Set(Object.values(bones));
+        
+        const visit = (bone, parent) => {
+            if (!cached.has(bone) || ignoredBones.test(bone.name)) return;
+            
+            const particle = {
+                bone: bone,
+                parent: parent,
+                children: [],
+                position: new Vector3(),
+                previous: new Vector3(),
+                restQuaternion: new Quaternion(), // World rotation when the ragdoll started
+                restDirections: [], // World directions to each child at the start
+                rotation: new Quaternion(), // Rotation since the start
+                quaternion: new Quaternion() // Current world rotation
+            };
+            
+            this.particles.push(particle);
+            if (parent) {
+                parent.children.push(particle);
+            }
+            
+            for (const child of bone.children) {
+                if (child.isBone || child.type === 'Bone') {
+                    visit(child, particle);
+                }
+            }
+        };
+        
+        visit(bones.hips, null);
+    }
+    
+    hasBones() {
+        return this.particles.length > 1;
+    }
+    
+    /**
+     * Take over from the current pose
+     * @param {Vector3} initialVelocity - Velocity of the whole body
+     * @param {Vector3} impulse - Velocity change from the killing blow
+     * @param {Vector3} impulsePoint - Where the blow landed, or null to push everything
+     * @returns {boolean} - False if the skeleton is too small to simulate
+     */
+    start(initialVelocity = null, impulse = null, impulsePoint = null) {
+        if (!this.hasBones()) return false;
+        
+        this.particles[0].bone.updateWorldMatrix(true, true);
+        
+        for (const particle of this.particles) {
+            particle.bone.getWorldPosition(particle.position);
+            particle.bone.getWorldQuaternion(particle.restQuaternion);
+        }
+        
+        for (const particle of this.particles) {
+            particle.restDirections = particle.children.map(child =>
+                child.position.clone().sub(particle.position).normalize()
+            );
+            
+            // Bones keep their length, and loosely their angle to the grandparent
+            if (particle.parent) {
+                this.addConstraint(particle, particle.parent, 1.0);
+                if (particle.parent.parent) {
+                    this.addConstraint(particle, particle.parent.parent, this.grandparentStiffness);
+                }
+            }
+            
+            // Siblings (legs at the hips, shoulders at the chest) hold the torso's shape
+            for (let i = 0; i < particle.children.length; i++) {
+                for (let j = i + 1; j < particle.children.length; j++) {
+                    this.addConstraint(particle.children[i], particle.children[j], 1.0);
+                }
+            }
+        }
+        
+        // Verlet keeps velocity as the step since the previous position
+        for (const particle of this.particles) {
+            velocity.set(0, 0, 0);
+            if (initialVelocity) {
+                velocity.copy(initialVelocity);
+            }
+            if (impulse) {
+                const weight = impulsePoint ?
+                    Math.max(0, 1 - particle.position.distanceTo(impulsePoint) / this.impulseRadius) : 1;
+                velocity.addScaledVector(impulse, weight);
+            }
+            particle.previous.copy(particle.position).addScaledVector(velocity, -this.fixedTimeStep);
+        }
+        
+        this.accumulator = 0;
+        this.restTime = 0;
+        this.sleeping = false;
+        this.active = true;
+        
+        return true;
+    }
+    
+    addConstraint(a, b, stiffness) {
+        const length = a.position.distanceTo(b.position);
+        if (length < 0.0001) return;
+        
+        this.constraints.push({ a, b, length, stiffness });
+    }
+    
+    /**
+     * Advance the simulation and pose the skeleton
+     * @param {number} deltaTime - Time step in seconds
+     */
+    update(deltaTime) {
+        if (!this.active || this.sleeping) return;
+        
+        this.accumulator += Math.min(deltaTime, 0.1);
+        
+        let steps = 0;
+        while (this.accumulator >= this.fixedTimeStep && steps < this.maxSubSteps) {
+            this.step(this.fixedTimeStep);
+            this.accumulator -= this.fixedTimeStep;
+            steps++;
+        }
+        if (steps >= this.maxSubSteps) {
+            this.accumulator = 0;
+        }
+        
+        this.applyPose();
+    }
+    
+    step(timeStep) {
+        // Integrate
+        for (const particle of this.particles) {
+            velocity.subVectors(particle.position, particle.previous).multiplyScalar(this.damping);
+            particle.previous.copy(particle.position);
+            particle.position.add(velocity).addScaledVector(this.getGravity(particle.position), timeStep * timeStep);
+        }
+        
+        // Satisfy the bones' lengths without sinking into the ground
+        for (let i = 0; i < this.iterations; i++) {
+            for (const constraint of this.constraints) {
+                this.solveConstraint(constraint);
+            }
+            for (const particle of this.particles) {
+                this.collide(particle, false);
+            }
+        }
+        
+        // Friction once per step, then check whether everything has settled
+        let maxSpeed = 0;
+        for (const particle of this.particles) {
+            this.collide(particle, true);
+            maxSpeed = Math.max(maxSpeed, particle.position.distanceTo(particle.previous) / timeStep);
+        }
+        
+        if (maxSpeed < this.sleepSpeed) {
+            this.restTime += timeStep;
+            this.sleeping = this.restTime >= this.sleepDelay;
+        } else {
+            this.restTime = 0;
+        }
+    }
+    
+    // Acceleration due to gravity at a point
+    getGravity(position) {
+        const planet = this.engine.physics.planetBody;
+        if (!planet) {
+            return gravity.copy(this.engine.physics.gravity);
+        }
+        
+        return gravity.subVectors(planet.center, position).normalize().multiplyScalar(planet.gravityStrength);
+    }
+    
+    solveConstraint(constraint) {
+        const { a, b } = constraint;
+        const delta = scratch.subVectors(b.position, a.position);
+        const distance = delta.length();
+        if (distance < 0.000001) return;
+        
+        const correction = (distance - constraint.length) / distance * 0.5 * constraint.stiffness;
+        a.position.addScaledVector(delta, correction);
+        b.position.addScaledVector(delta, -correction);
+    }
+    
+    // Push a particle out of the ground and structures
+    collide(particle, applyFriction) {
+        const physics = this.engine.physics;
+        const planet = physics.planetBody;
+        
+        if (planet) {
+            const offset = scratch.subVectors(particle.position, planet.center);
+            const distance = offset.length();
+            const minDistance = planet.radius + this.radius;
+            
+            if (distance < minDistance && distance > 0.000001) {
+                const normal = offset.divideScalar(distance);
+                particle.position.addScaledVector(normal, minDistance - distance);
+                if (applyFriction) this.applyFriction(particle, normal);
+            }
+        } else if (particle.position.y < this.radius) {
+            particle.position.y = this.radius;
+            if (applyFriction) this.applyFriction(particle, scratch.set(0, 1, 0));
+        }
+        
+        for (const body of physics.staticBodies) {
+            if (body.isPlanet || !(body.collider instanceof BoxCollider)) continue;
+            this.collideBox(particle, body.collider.box, applyFriction);
+        }
+    }
+    
+    collideBox(particle, box, applyFriction) {
+        const position = particle.position;
+        const radius = this.radius;
+        
+        if (position.x < box.min.x - radius || position.x > box.max.x + radius ||
+            position.y < box.min.y - radius || position.y > box.max.y + radius ||
+            position.z < box.min.z - radius || position.z > box.max.z + radius) {
+            return;
+        }
+        
+        // Out through the nearest face
+        let depth = Infinity;
+        const normal = scratch.set(0, 0, 0);
+        for (const axis of ['x', 'y', 'z']) {
+            const below = position[axis] - (box.min[axis] - radius);
+            const above = box.max[axis] + radius - position[axis];
+            
+            if (below < depth) {
+                depth = below;
+                normal.set(0, 0, 0)[axis] = -1;
+            }
+            if (above < depth) {
+                depth = above;
+                normal.set(0, 0, 0)[axis] = 1;
+            }
+        }
+        
+        position.addScaledVector(normal, depth);
+        if (applyFriction) this.applyFriction(particle, normal);
+    }
+    
+    // Drop motion into the surface and slow sliding along it
+    applyFriction(particle, normal) {
+        velocity.subVectors(particle.position, particle.previous);
+        
+        const normalSpeed = velocity.dot(normal);
+        velocity.addScaledVector(normal, -normalSpeed);
+        velocity.multiplyScalar(1 - this.friction);
+        if (normalSpeed > 0) {
+            velocity.addScaledVector(normal, normalSpeed);
+        }
+        
+        particle.previous.subVectors(particle.position, velocity);
+    }
+    
+    // Turn each bone to follow its particles
+    applyPose() {
+        const root = this.particles[0];
+        const container = root.bone.parent;
+        
+        // The hips go where their particle is
+        container.updateWorldMatrix(true, false);
+        container.getWorldQuaternion(parentQuaternion);
+        root.bone.position.copy(container.worldToLocal(scratch.copy(root.position)));
+        
+        // Parents come first, so their new world rotations are ready for the children
+        for (const particle of this.particles) {
+            this.getRotation(particle, particle.rotation);
+            particle.quaternion.copy(particle.rotation).multiply(particle.restQuaternion);
+            
+            const parentWorld = particle.parent ? particle.parent.quaternion : parentQuaternion;
+            particle.bone.quaternion.copy(parentWorld).invert().multiply(particle.quaternion);
+        }
+    }
+    
+    /**
+     * Rotation of a bone since the ragdoll started, from where its children have moved
+     * @param {Object} particle - Particle of the bone
+     * @param {Quaternion} target - Receives the rotation
+     * @returns {Quaternion} - The target
+     */
+    getRotation(particle, target) {
+        const children = particle.children;
+        
+        // Ends of chains (head, hands, feet) keep their angle to the parent
+        if (children.length === 0) {
+            return particle.parent ? target.copy(particle.parent.rotation) : target.identity();
+        }
+        
+        const first = children[0].position.clone().sub(particle.position).normalize();
+        
+        // Two children fix the twist as well as the direction
+        if (children.length > 1) {
+            const second = children[1].position.clone().sub(particle.position).normalize();
+            if (this.makeBasis(particle.restDirections[0], particle.restDirections[1], restBasis) &&
+                this.makeBasis(first, second, currentBasis)) {
+                return target.setFromRotationMatrix(currentBasis.multiply(restBasis.transpose()));
+            }
+        }
+        
+        return target.setFromUnitVectors(particle.restDirections[0], first);
+    }
+    
+    // Orthonormal basis from two directions - false if they're parallel
+    makeBasis(a, b, target) {
+        const z = new Vector3().crossVectors(a, b);
+        if (z.lengthSq() < 0.000001) return false;
+        z.normalize();
+        
+        const y = new Vector3().crossVectors(z, a);
+        target.makeBasis(a, y, z);
+        return true;
+    }
+    
+    // Where the body is - the hips
+    getPosition() {
+        return this.particles[0].position;
+    }
+    
+    stop() {
+        this.active = false;
+    }
+}
\ No newline at end of file
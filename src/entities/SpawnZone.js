@@ -0,0 +1,74 @@
+// src/entities/SpawnZone.js
+import { Vector3 } from 'three';
+
+/**
+ * Area of the map zombies spawn in, from the map's enemies.spawnZones:
+ *
+ *   {
+ *     "id": "bunker",
+ *     "center": { "x": 0, "y": 20, "z": -14 }, // Projected onto the ground
+ *     "radius": 6,                             // Along the surface
+ *     "weight": 2,                             // Against the other open zones
+ *     "archetypes": ["brute", "walker"],       // Allowed here, all if left out
+ *     "activation": { "afterRound": 3 }        // Open from round 4
+ *   }
+ *
+ * Activation can also wait for an event, e.g.
+ * { "event": "door:opened", "match": { "id": "bunker_door" } } opens the zone
+ * the first time 'door:opened' is emitted with data.id === "bunker_door".
+ * Both conditions must hold when given; zones without any are always open.
+ */
+export class SpawnZone {
+    /**
+     * @param {Engine} engine - Game engine
+     * @param {Object} data - Zone entry from the map
+     */
+    constructor(engine, data) {
+        this.engine = engine;
+        this.id = data.id || null;
+        this.center = new Vector3(data.center.x || 0, data.center.y || 0, data.center.z || 0);
+        this.radius = data.radius !== undefined ? data.radius : 5;
+        this.weight = data.weight !== undefined ? data.weight : 1;
+        this.archetypes = Array.isArray(data.archetypes) && data.archetypes.length > 0 ? data.archetypes : null;
+        
+        // Activation conditions
+        const activation = data.activation || {};
+        this.afterRound = activation.afterRound || 0;
+        this.event = activation.event || null;
+        this.match = activation.match || {};
+        this.triggered = !this.event;
+        
+        this.onEvent = null;
+        if (this.event) {
+            this.onEvent = (event) => this.handleEvent(event);
+            engine.events.on(this.event, this.onEvent);
+        }
+    }
+    
+    /**
+     * Whether zombies can spawn here now
+     * @param {number} round - Current wave round (0 outside wave mode)
+     * @returns {boolean}
+     */
+    isActive(round) {
+        return this.weight > 0 && this.triggered && (this.afterRound === 0 || round > this.afterRound);
+    }
+    
+    handleEvent(event) {
+        const data = event || {};
+        const matches = Object.entries(this.match).every(([key, value]) => data[key] === value);
+        if (!matches) return;
+        
+        console.log(`Spawn zone ${this.id || '(unnamed)'} opened by ${this.event}`);
+        this.triggered = true;
+        this.detach();
+    }
+    
+    // Stop listening for the activation event
+    detach() {
+        if (this.onEvent) {
+            this.engine.events.off(this.event, this.onEvent);
+            this.onEvent = null;
+        }
+    }
+}
\ No newline at end of file
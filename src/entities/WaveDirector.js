@@ -0,0 +1,237 @@
+// src/entities/WaveDirector.js
+
+/**
+ * Default round settings. Each scaled value is { base, perRound, min, max }:
+ * round 1 gets `base`, every later round adds `perRound`, clamped to min/max.
+ */
+export const DefaultWaves = {
+    startRound: 1,
+    firstDelay: 5, // Seconds before round 1
+    intermission: 10, // Seconds between rounds
+    budget: { base: 6, perRound: 4, max: 120 }, // Zombies in the round
+    concurrent: { base: 5, perRound: 1, max: 24 }, // Alive at once
+    health: { base: 1.0, perRound: 0.1, max: 4.0 }, // Multiplier on archetype health
+    speed: { base: 1.0, perRound: 0.03, max: 1.5 }, // Multiplier on archetype speed
+    spawnInterval: { base: 3.0, perRound: -0.2, min: 0.5 }, // Seconds between spawns
+    rounds: [] // Per-round values that replace the scaled ones, by round number - 1
+};
+
+/**
+ * Round-based spawning for the enemy manager: each round spawns a fixed
+ * budget of zombies, no more than a set number alive at once, and ends
+ * when all of them are dead. An intermission follows before the next,
+ * tougher round.
+ *
+ * Emits 'round:start' { round, zombies } and
+ * 'round:end' { round, kills, duration, intermission }.
+ */
+export class WaveDirector {
+    /**
+     * @param {Engine} engine - Game engine
+     * @param {EnemyManager} enemyManager - Spawns the zombies
+     */
+    constructor(engine, enemyManager) {
+        this.engine = engine;
+        this.enemyManager = enemyManager;
+        this.settings = DefaultWaves;
+        
+        // 'idle' until started, then 'intermission' and 'active' in turn
+        this.state = 'idle';
+        this.round = 0;
+        this.roundSettings = null;
+        this.timer = 0; // Intermission countdown, or time until the next spawn
+        this.roundTime = 0;
+        
+        // Zombies of the current round
+        this.spawned = 0; // Including spawns still loading
+        this.pending = 0;
+        this.zombies = [];
+        
+        // HUD element
+        this.counter = document.getElementById('round-counter');
+    }
+    
+    /**
+     * Set the round settings
+     * @param {Object} settings - Values replacing DefaultWaves, or null for the defaults
+     */
+    configure(settings) {
+        this.settings = settings ? { ...DefaultWaves, ...settings } : DefaultWaves;
+    }
+    
+    // Count down to the first round
+    start() {
+        this.round = this.settings.startRound - 1;
+        this.beginIntermission(this.settings.firstDelay);
+    }
+    
+    reset() {
+        this.state = 'idle';
+        this.round = 0;
+        this.roundSettings = null;
+        this.spawned = 0;
+        this.pending = 0;
+        this.zombies = [];
+        this.updateHUD();
+    }
+    
+    isActive() {
+        return this.state === 'active';
+    }
+    
+    update(deltaTime) {
+        if (this.state === 'idle') return;
+        
+        if (this.state === 'intermission') {
+            this.timer -= deltaTime;
+            if (this.timer <= 0) {
+                this.startRound();
+            }
+            this.updateHUD();
+            return;
+        }
+        
+        // Spawn cadence follows the enemy manager's pacing (see AIDirector)
+        this.timer -= deltaTime * this.enemyManager.spawnRate;
+        this.roundTime += deltaTime;
+        this.zombies = this.zombies.filter(zombie => zombie.isAlive);
+        
+        const settings = this.roundSettings;
+        if (this.timer <= 0 && this.spawned < settings.budget &&
+            this.zombies.length + this.pending < settings.concurrent) {
+            this.timer = settings.spawnInterval;
+            this.spawnNext();
+        }
+        
+        // Round over once everything in the budget has spawned and died
+        if (this.spawned >= settings.budget && this.pending === 0 && this.zombies.length === 0) {
+            this.endRound();
+        }
+        
+        this.updateHUD();
+    }
+    
+    startRound() {
+        this.round++;
+        this.roundSettings = this.getRoundSettings(this.round);
+        this.state = 'active';
+        this.timer = 0;
+        this.roundTime = 0;
+        this.spawned = 0;
+        this.pending = 0;
+        this.zombies = [];
+        
+        console.log(`Round ${this.round} started: ${this.roundSettings.budget} zombies`);
+        this.engine.events.emit('round:start', {
+            round: this.round,
+            zombies: this.roundSettings.budget
+        });
+    }
+    
+    endRound() {
+        const intermission = this.roundSettings.intermission;
+        
+        console.log(`Round ${this.round} cleared in ${this.roundTime.toFixed(1)}s`);
+        this.engine.events.emit('round:end', {
+            round: this.round,
+            kills: this.spawned,
+            duration: this.roundTime,
+            intermission: intermission
+        });
+        
+        this.beginIntermission(intermission);
+    }
+    
+    beginIntermission(duration) {
+        this.state = 'intermission';
+        this.timer = duration;
+        this.updateHUD();
+    }
+    
+    spawnNext() {
+        const player = this.engine.player;
+        if (!player) return;
+        
+        const spawn = this.enemyManager.findSpawn(player.position);
+        if (!spawn) return;
+        
+        const archetype = spawn.archetype;
+        const round = this.round;
+        
+        this.spawned++;
+        this.pending++;
+        
+        this.enemyManager.spawnZombie(spawn.position, archetype, this.getScaledStats(archetype)).then(zombie => {
+            // Reset or a new round since - not ours any more
+            if (round !== this.round || this.state !== 'active') return;
+            
+            this.pending--;
+            if (zombie) {
+                this.zombies.push(zombie);
+            } else {
+                this.spawned--;
+            }
+        });
+    }
+    
+    /**
+     * Archetype stats scaled for the current round
+     * @param {string} archetype - Archetype id
+     * @returns {Object} - Overrides for ZombieRegistry.createZombie
+     */
+    getScaledStats(archetype) {
+        const definition = this.engine.zombieRegistry.getDefinition(archetype) || {};
+        const settings = this.roundSettings;
+        
+        // Zombie defaults for values the archetype leaves out
+        return {
+            health: Math.round((definition.health !== undefined ? definition.health : 100) * settings.health),
+            speed: (definition.speed !== undefined ? definition.speed : 3.0) * settings.speed
+        };
+    }
+    
+    /**
+     * Settings for a round
+     * @param {number} round - Round number, from 1
+     * @returns {Object} - { budget, concurrent, health, speed, spawnInterval, intermission }
+     */
+    getRoundSettings(round) {
+        const settings = this.settings;
+        const scale = (value) => {
+            if (typeof value === 'number') return value;
+            
+            const scaled = value.base + (value.perRound || 0) * (round - 1);
+            return Math.min(
+                value.max !== undefined ? value.max : Infinity,
+                Math.max(value.min !== undefined ? value.min : 0, scaled)
+            );
+        };
+        
+        const roundSettings = {
+            budget: Math.round(scale(settings.budget)),
+            concurrent: Math.round(scale(settings.concurrent)),
+            health: scale(settings.health),
+            speed: scale(settings.speed),
+            spawnInterval: scale(settings.spawnInterval),
+            intermission: settings.intermission
+        };
+        
+        const overrides = settings.rounds ? settings.rounds[round - 1] : null;
+        return { ...roundSettings, ...(overrides || {}) };
+    }
+    
+    updateHUD() {
+        if (!this.counter) return;
+        
+        if (this.state === 'active') {
+            const remaining = this.roundSettings.budget - this.spawned + this.zombies.length + this.pending;
+            this.counter.textContent = `Round ${this.round} - ${remaining} left`;
+            this.counter.style.display = 'block';
+        } else if (this.state === 'intermission') {
+            this.counter.textContent = `Round ${this.round + 1} in ${Math.max(0, Math.ceil(this.timer))}`;
+            this.counter.style.display = 'block';
+        } else {
+            this.counter.style.display = 'none';
+        }
+    }
+}
\ No newline at end of file
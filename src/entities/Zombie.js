@@ -6,16 +6,32 @@ import {
 } from 'three';
 import { clone as skeletonClone } from 'three/addons/utils/SkeletonUtils.js';
 import { PhysicsBody } from '../physics/PhysicsBody.js';
+import { HitZones } from './HitZones.js';
+import { PathFollower } from '../ai/PathFollower.js';
+import { BehaviorContext } from '../ai/BehaviorTree.js';
+import { AnimationEvents } from './AnimationEvents.js';
+import { LocomotionBlend } from './LocomotionBlend.js';
+import { Ragdoll } from './Ragdoll.js';
 
 // Import Three.js constants for animation
 const LoopOnce = 2200; // THREE.LoopOnce
 const LoopRepeat = 2201; // THREE.LoopRepeat
 
+// Animation names that mean "move about" - picked from the blend space by ground speed
+const locomotionAnimations = ['idle', 'walk', 'run', 'chase'];
+
 export class Zombie {
-    constructor(engine, position = new Vector3(0, 0, 0)) {
+    /**
+     * @param {Engine} engine - Game engine
+     * @param {Vector3} position - Spawn position
+     * @param {Object} archetype - Entry from data/zombies.json (see ZombieRegistry)
+     */
+    constructor(engine, position = new Vector3(0, 0, 0), archetype = {}) {
         // Core properties
         this.engine = engine;
         this.type = 'zombie';
+        this.archetype = archetype.id || 'walker';
+        this.scale = archetype.scale || 1.0; // Relative to the base model
         this.id = null; // Will be assigned by EntityManager
         this.position = position.clone();
         this.rotation = new Euler(0, 0, 0);
@@ -30,10 +46,11 @@ export class Zombie {
         // Physics body with planet support
         this.physicsBody = new PhysicsBody({
             position: this.position.clone(),
-            mass: 70,
-            radius: 0.5,
+            mass: archetype.mass || 70,
+            radius: 0.5 * this.scale,
             restitution: 0.2,
-            friction: 0.5
+            friction: 0.5,
+            entity: this // Link to zombie entity
         });
         
         // State management for chasing
@@ -45,9 +62,13 @@ export class Zombie {
         // Movement properties
         this.speed = { walk: 2.0, run: 4.0 };
         this.currentSpeed = 0;
+        this.chaseSpeed = 3.0;
         this.moveDirection = new Vector3();
         this.turnSpeed = 4.0;
         
+        // Routes around structures using the navigation grid
+        this.pathFollower = new PathFollower(this);
+        
         // Player tracking
         this.canSeePlayer = false;
         this.detectionRange = 15; // How far away zombie can detect player
@@ -55,37 +76,157 @@ export class Zombie {
         this.perceptionUpdateRate = 0.2;
         this.lastKnownPlayerPosition = null;
         
+        // Vision - a cone around the facing direction, blocked by structures and the planet
+        this.fieldOfView = Math.PI * 0.7; // Full cone width in radians
+        this.proximityRange = 2.0; // Players this close are noticed even from behind
+        this.eyeHeight = 1.2 * this.scale; // Above the body centre
+        
+        // Behaviour tree from data/ai, shared by every zombie using it
+        this.behaviorId = 'zombie';
+        this.behavior = null;
+        this.behaviorContext = new BehaviorContext(this);
+        
+        // Hearing - the latest noise louder than the threshold (see NoiseSystem)
+        this.hearingThreshold = 0.1;
+        this.heardNoise = null;
+        
         // Combat properties
         this.health = 100;
         this.maxHealth = 100;
         this.attackRange = 1.8;
         this.attackCooldown = 1.2;
+        this.attackDamage = 20;
+        this.attackKnockback = 0; // Speed a hit shoves the target away at
         this.lastAttackTime = 0;
+        this.attackTarget = null; // Set while a swing is in progress
+        
+        // Grab-and-bite - the target is held until it breaks free (see GrabController)
+        this.grabRange = 2.0;
+        this.grabStrength = 1.0; // Scales how hard the grip is to break
+        this.biteDamage = 8; // Per bite while holding on
+        this.grabEscapeCooldown = 12; // Seconds before grabbing again after the target broke free
+        this.grabReadyTime = 0;
+        this.grabTarget = null;
+        
+        // Stagger - AI is suspended while knocked back (e.g. by melee)
+        this.staggerTime = 0;
+        this.staggerDamping = 4.0; // How quickly knockback slides to a stop
+        this.staggerMultiplier = 1.0; // Scales stagger time and knockback taken
+        
+        // Leg damage - enough of it cripples the zombie into crawling
+        this.legDamage = 0;
+        this.crippleThreshold = 40;
+        this.isCrippled = false;
+        this.crippledSpeedMultiplier = 0.4;
+        this.crippledAttackRange = 1.2;
+        this.crippledBodyRadius = 0.3 * this.scale;
+        this.startsCrippled = false; // Crawlers spawn without working legs
+        
+        // Death - a ragdoll when the model has a skeleton, otherwise the death clip (see CorpseManager)
+        this.useRagdoll = true;
+        this.ragdoll = null;
+        this.deathImpulse = { default: 3.0, melee: 4.0, explosion: 10.0 }; // Speed the killing blow throws the body at
+        this.killingHit = null;
         
         // Animation properties
         this.object = null;
         this.mixer = null;
         this.animations = {};
         this.currentAnimation = null;
+        this.currentAnimationName = null; // Requested name before fallbacks
         this.animationSpeed = 1.0;
+        
+        // Clips this archetype uses in place of the defaults, e.g. a runner's walk is the run clip
+        this.animationSet = {};
+        
+        // Gameplay events at points in clips (see AnimationEvents) - attacks land on 'hit',
+        // bites on 'bite'. Durations keep time when a clip is missing.
+        this.clipEvents = {
+            'attack': { duration: 1.2, events: [{ name: 'hit', time: 0.4 }, { name: 'end', time: 1.0 }] },
+            'neckbite': { duration: 0.8, events: [{ name: 'bite', time: 0.5 }] },
+            'biting': { duration: 0.8, events: [{ name: 'bite', time: 0.5 }] },
+            'biting2': { duration: 0.8, events: [{ name: 'bite', time: 0.5 }] }
+        };
+        
+        // Locomotion clips used instead while crippled
+        this.crippledAnimations = {
+            'idle': { clip: 'crawl', speedFactor: 0.2 },
+            'walk': { clip: 'crawl', speedFactor: 1.0 },
+            'chase': { clip: 'runningcrawl', speedFactor: 1.0 },
+            'run': { clip: 'runningcrawl', speedFactor: 1.0 }
+        };
+        
+        // Locomotion blend space (see LocomotionBlend) - clips and the ground speed each matches
+        this.locomotion = null;
+        this.locomotionClips = [
+            { clip: 'idle', speed: 0 },
+            { clip: 'walk', speed: 1.8 },
+            { clip: 'run', speed: 5.0 }
+        ];
+        this.crippledLocomotionClips = [
+            { clip: 'crawl', speed: 0.6, minTimeScale: 0.2 },
+            { clip: 'runningcrawl', speed: 1.6 }
+        ];
         this.skeletonHelper = null;
         
         // Bone references
         this.bones = {};
         
+        // Per-bone damage zones (null when the model has no skeleton)
+        this.hitZones = null;
+        
+        // Set once init has run
+        this.initialized = false;
+        
         // Debug properties
         this.debugMode = false;
         
-        console.log("Zombie created at", position.x, position.y, position.z);
+        this.applyArchetype(archetype);
+        this.animationEvents = new AnimationEvents(this.clipEvents, this.handleAnimationEvent.bind(this));
+        
+        console.log(`Zombie (${this.archetype}) created at`, position.x, position.y, position.z);
+    }
+    
+    // Stats, animations and abilities from the archetype definition
+    applyArchetype(archetype) {
+        if (archetype.health !== undefined) {
+            this.health = archetype.health;
+            this.maxHealth = archetype.health;
+        }
+        if (archetype.speed !== undefined) this.chaseSpeed = archetype.speed;
+        if (archetype.detectionRange !== undefined) this.detectionRange = archetype.detectionRange;
+        if (archetype.hearingThreshold !== undefined) this.hearingThreshold = archetype.hearingThreshold;
+        if (archetype.attackRange !== undefined) this.attackRange = archetype.attackRange;
+        if (archetype.attackDamage !== undefined) this.attackDamage = archetype.attackDamage;
+        if (archetype.attackCooldown !== undefined) this.attackCooldown = archetype.attackCooldown;
+        if (archetype.attackKnockback !== undefined) this.attackKnockback = archetype.attackKnockback;
+        if (archetype.grabRange !== undefined) this.grabRange = archetype.grabRange;
+        if (archetype.grabStrength !== undefined) this.grabStrength = archetype.grabStrength;
+        if (archetype.biteDamage !== undefined) this.biteDamage = archetype.biteDamage;
+        if (archetype.grabEscapeCooldown !== undefined) this.grabEscapeCooldown = archetype.grabEscapeCooldown;
+        if (archetype.crippleThreshold !== undefined) this.crippleThreshold = archetype.crippleThreshold;
+        if (archetype.staggerMultiplier !== undefined) this.staggerMultiplier = archetype.staggerMultiplier;
+        
+        if (archetype.behavior) this.behaviorId = archetype.behavior;
+        if (archetype.animations) this.animationSet = { ...archetype.animations };
+        if (archetype.clipEvents) this.clipEvents = { ...this.clipEvents, ...archetype.clipEvents };
+        if (archetype.locomotion) this.locomotionClips = archetype.locomotion;
+        if (archetype.ragdoll !== undefined) this.useRagdoll = archetype.ragdoll;
+        this.startsCrippled = !!archetype.crippled;
     }
     
     async init(engine) {
         // Store engine reference if passed
         if (engine) this.engine = engine;
         
+        // EntityManager.addEntity calls init again on already initialized zombies
+        if (this.initialized) return this;
+        this.initialized = true;
+        
         console.log("Zombie: Initializing...");
         
-        // Add physics body to world
+        // Stand on the ground wherever the spawn point was, then join the world
+        this.snapToSurface();
         if (this.engine.physics) {
             this.engine.physics.addBody(this.physicsBody);
         }
@@ -93,6 +234,13 @@ export class Zombie {
         // Load zombie model and animations
         await this.loadModel();
         
+        if (this.startsCrippled) {
+            this.cripple();
+        }
+        
+        // Behaviour tree (loaded once and cached by the registry)
+        this.behavior = await this.engine.behaviors.load(this.behaviorId);
+        
         // Initial state
         this.changeState('idle');
         
@@ -114,8 +262,10 @@ export class Zombie {
             this.object = skeletonClone(zombieModel);
             
             // Set scale and position
-            this.object.scale.set(0.01, 0.01, 0.01);
+            this.object.scale.setScalar(0.01 * this.scale);
             this.object.position.copy(this.position);
+            this.object.quaternion.copy(this.getSurfaceAlignmentQuaternion());
+            this.object.userData.surface = 'flesh';
             
             // Setup animation mixer
             this.mixer = new AnimationMixer(this.object);
@@ -126,6 +276,21 @@ export class Zombie {
             // Find and cache bone references
             this.findBones();
             
+            // Build hit zones from the cached bones
+            const hitZones = new HitZones(this.bones);
+            this.hitZones = hitZones.hasZones() ? hitZones : null;
+            
+            // Blend idle/walk/run by ground speed, with attacks layered over the upper body
+            this.locomotion = new LocomotionBlend(
+                this.mixer,
+                this.animations,
+                LocomotionBlend.findUpperBodyBones(this.object)
+            );
+            this.locomotion.setPoints(this.locomotionClips, this.scale);
+            if (!this.locomotion.hasClips()) {
+                this.locomotion = null;
+            }
+            
             // Create skeleton helper if in debug mode
             if (this.debugMode) {
                 this.skeletonHelper = new SkeletonHelper(this.object);
@@ -149,7 +314,12 @@ export class Zombie {
             'run': 'run',
             'attack': 'attack',
             'death': 'death',
-            'scream': 'scream'
+            'scream': 'scream',
+            'biting': 'biting',
+            'biting2': 'biting2',
+            'neckbite': 'neckbite',
+            'crawl': 'crawl',
+            'runningcrawl': 'runningcrawl'
         };
         
         // Get animations from asset manager
@@ -185,6 +355,10 @@ export class Zombie {
                     this.bones.leftLeg = node;
                 } else if (name.includes('right') && name.includes('leg')) {
                     this.bones.rightLeg = node;
+                } else if (name.includes('hips')) {
+                    this.bones.hips = node;
+                } else if (name.includes('neck')) {
+                    this.bones.neck = node;
                 }
             }
         });
@@ -199,7 +373,10 @@ export class Zombie {
         const material = new MeshStandardMaterial({ color: new Color(0x00aa00) });
         
         this.object = new Group();
+        this.object.scale.setScalar(this.scale);
         this.object.position.copy(this.position);
+        this.object.quaternion.copy(this.getSurfaceAlignmentQuaternion());
+        this.object.userData.surface = 'flesh';
         
         // Body parts
         const body = new Mesh(bodyGeo, material);
@@ -235,11 +412,43 @@ export class Zombie {
         // Skip if no mixer
         if (!this.mixer) return;
         
+        this.currentAnimationName = name;
+        
+        // Moving about is handled by the blend space, which follows the actual ground speed
+        if (this.locomotion && locomotionAnimations.includes(name)) {
+            if (!this.locomotion.isActive()) {
+                if (this.currentAnimation) {
+                    this.currentAnimation.fadeOut(0.2);
+                    this.currentAnimation = null;
+                }
+                this.locomotion.setActive(true);
+                this.animationEvents.stop();
+            }
+            return;
+        }
+        
+        // Anything else plays on the whole body
+        if (this.locomotion) {
+            this.locomotion.setActive(false);
+        }
+        
         // Process animation name
         let actualName = name;
         
+        // Crippled zombies drag themselves along with the crawl clips
+        const crippledAnimation = this.isCrippled && this.crippledAnimations[name];
+        if (crippledAnimation && this.animations[crippledAnimation.clip]) {
+            actualName = crippledAnimation.clip;
+            speedFactor = crippledAnimation.speedFactor;
+        }
+        // Archetype-specific clips, paced relative to the requested speed
+        else if (this.animationSet[name] && this.animations[this.animationSet[name].clip]) {
+            const replacement = this.animationSet[name];
+            actualName = replacement.clip;
+            speedFactor *= replacement.speedFactor !== undefined ? replacement.speedFactor : 1.0;
+        }
         // Handle missing animations with fallbacks
-        if (name === 'idle' && !this.animations['idle']) {
+        else if (name === 'idle' && !this.animations['idle']) {
             actualName = 'walk';
             speedFactor = 0.25;
         }
@@ -251,6 +460,10 @@ export class Zombie {
             actualName = 'walk';
             speedFactor = 1.5;
         }
+        else if (this.clipEvents[name] && !this.animations[name]) {
+            // Bites etc. without their own clip - show a swing, still on the same schedule
+            actualName = 'attack';
+        }
         
         let clip = this.animations[actualName];
         
@@ -259,7 +472,11 @@ export class Zombie {
             actualName = 'walk';
             clip = this.animations['walk'];
             
-            if (!clip) return;
+            if (!clip) {
+                // Nothing to show, but keep the clip's events on time
+                this.animationEvents.play(name, null, loop, speedFactor);
+                return;
+            }
         }
         
         // Stop current animation
@@ -277,10 +494,22 @@ export class Zombie {
         action.play();
         
         this.currentAnimation = action;
+        
+        // Events follow the mixer when the requested clip is playing, or keep their own time
+        if (actualName === name) {
+            this.animationEvents.play(name, action, loop);
+        } else {
+            this.animationEvents.play(name, null, loop, speedFactor);
+        }
     }
     
     update(deltaTime) {
-        if (!this.enabled || !this.isAlive) return;
+        if (!this.enabled) return;
+        
+        if (!this.isAlive) {
+            this.updateCorpse(deltaTime);
+            return;
+        }
         
         // Update timers
         this.timeSinceSpawn += deltaTime;
@@ -289,16 +518,24 @@ export class Zombie {
         // Update planet-based orientation
         this.updateOrientationToPlanet();
         
-        // Update animations
+        // Update animations, then fire any clip events passed
+        if (this.locomotion) {
+            this.locomotion.update(deltaTime * this.animationSpeed, this.getGroundSpeed());
+        }
         if (this.mixer) {
             this.mixer.update(deltaTime * this.animationSpeed);
         }
+        this.animationEvents.update(deltaTime * this.animationSpeed);
         
         // Update perception (can see player, etc)
         this.updatePerception(deltaTime);
         
-        // State machine processing
-        this.processStateMachine(deltaTime);
+        // Behaviour - suspended while staggered
+        if (this.staggerTime > 0) {
+            this.updateStagger(deltaTime);
+        } else {
+            this.updateBehavior(deltaTime);
+        }
         
         // Update position from physics
         if (this.physicsBody) {
@@ -346,6 +583,23 @@ export class Zombie {
         }
     }
     
+    // Move onto the planet surface at resting height, upright
+    snapToSurface() {
+        const planetBody = this.engine.physics && this.engine.physics.planetBody;
+        if (!planetBody) return;
+        
+        this.updateOrientationToPlanet();
+        
+        // Where PlanetBody holds a body of this size
+        const height = planetBody.radius + planetBody.surfaceOffset + this.physicsBody.radius;
+        this.position.copy(planetBody.center).addScaledVector(this.surfaceNormal, height);
+        
+        this.physicsBody.position.copy(this.position);
+        if (this.physicsBody.collider) {
+            this.physicsBody.collider.updatePosition(this.physicsBody.position);
+        }
+    }
+    
     // Get quaternion to align with planet surface
     getSurfaceAlignmentQuaternion() {
         // Default up vector (world space)
@@ -355,86 +609,42 @@ export class Zombie {
         return new Quaternion().setFromUnitVectors(worldUp, this.surfaceNormal);
     }
     
-    processStateMachine(deltaTime) {
-        // State transitions - can see player should trigger chase
-        if (this.state === 'idle' && this.canSeePlayer) {
-            this.changeState('chase');
-        }
-        
-        // Process current state
-        switch (this.state) {
-            case 'idle':
-                this.processIdleState(deltaTime);
-                break;
-                
-            case 'chase':
-                this.processChaseState(deltaTime);
-                break;
-                
-            case 'attack':
-                this.processAttackState(deltaTime);
-                break;
-                
-            case 'death':
-                // No movement in death state
-                break;
-        }
-    }
-    
-    processIdleState(deltaTime) {
-        // Simple idle behavior - slight movement/looking around
-        if (Math.random() < 0.01) {
-            // Random small rotation
-            this.rotation.y += (Math.random() - 0.5) * 0.5;
-        }
+    updateBehavior(deltaTime) {
+        if (!this.behavior) return;
         
-        // Play idle animation
-        if (!this.currentAnimation || this.currentAnimation._clip.name !== 'idle') {
-            this.playAnimation('idle');
-        }
+        this.behavior.tick(this.behaviorContext, deltaTime);
     }
     
-    processChaseState(deltaTime) {
-        // Get player position
-        const player = this.engine.player;
-        if (!player) return;
-        
-        // Store last known position when visible
-        if (this.canSeePlayer) {
-            this.lastKnownPlayerPosition = player.position.clone();
+    // Random point on the ground within radius of center
+    pickSearchPoint(center, radius) {
+        const planetBody = this.engine.physics.planetBody;
+        const up = planetBody ?
+            new Vector3().subVectors(center, planetBody.center).normalize() :
+            new Vector3(0, 1, 0);
+        const { right, forward } = this.getTangentBasis(up);
+        
+        // Random offset on the ground, pulled back onto the sphere
+        const angle = Math.random() * Math.PI * 2;
+        const distance = radius * Math.sqrt(Math.random());
+        const point = center.clone()
+            .addScaledVector(forward, Math.cos(angle) * distance)
+            .addScaledVector(right, Math.sin(angle) * distance);
+        
+        if (planetBody) {
+            const height = center.distanceTo(planetBody.center);
+            point.sub(planetBody.center).setLength(height).add(planetBody.center);
         }
         
-        // Move toward player
-        if (this.lastKnownPlayerPosition) {
-            // Check if close enough to attack
-            const distanceToPlayer = this.position.distanceTo(player.position);
-            
-            if (distanceToPlayer <= this.attackRange) {
-                this.changeState('attack');
-                return;
-            }
-            
-            // Calculate move direction along planet surface
-            this.calculatePlanetSurfaceMovement(player.position);
-            
-            // Play walk/run animation
-            if (!this.currentAnimation || 
-                (this.currentAnimation._clip.name !== 'walk' && 
-                 this.currentAnimation._clip.name !== 'run')) {
-                this.playAnimation('walk', true, 1.2);
-            }
-        }
-        
-        // If lost track of player for too long, go back to idle
-        if (!this.canSeePlayer && this.timeInCurrentState > 8.0) {
-            this.changeState('idle');
-        }
+        return point;
     }
     
     // Calculate movement along the planet surface toward a target
-    calculatePlanetSurfaceMovement(targetPosition) {
+    calculatePlanetSurfaceMovement(targetPosition, speedMultiplier = 1.0) {
+        // Head for the next waypoint when structures are in the way
+        const steeringTarget = this.pathFollower.getSteeringTarget(targetPosition);
+        
         // Calculate direction to target in world space
-        const directionToTarget = new Vector3().subVectors(targetPosition, this.position).normalize();
+        const directionToTarget = new Vector3().subVectors(steeringTarget, this.position).normalize();
         
         // Calculate tangent plane to the planet surface at zombie's position
         // Project the direction to target onto the tangent plane
@@ -444,6 +654,11 @@ export class Zombie {
             .sub(this.surfaceNormal.clone().multiplyScalar(normalComponent))
             .normalize();
         
+        // Keep clear of and move with nearby zombies
+        if (this.engine.crowd) {
+            this.engine.crowd.steer(this, tangentDirection);
+        }
+        
         // Calculate rotation to face the target along the surface
         // Create basis vectors for the tangent plane
         const tangentRight = new Vector3().crossVectors(this.surfaceNormal, new Vector3(0, 0, 1)).normalize();
@@ -464,7 +679,8 @@ export class Zombie {
         this.rotation.y = angleToTarget;
         
         // Set velocity along the tangent direction
-        const chaseSpeed = 3.0;
+        const chaseSpeed = (this.isCrippled ?
+            this.chaseSpeed * this.crippledSpeedMultiplier : this.chaseSpeed) * speedMultiplier;
         if (this.physicsBody) {
             this.physicsBody.velocity.copy(tangentDirection.multiplyScalar(chaseSpeed));
             
@@ -476,47 +692,114 @@ export class Zombie {
         }
     }
     
-    processAttackState(deltaTime) {
-        const player = this.engine.player;
-        if (!player) return;
+    // Stop walking but keep falling
+    stopMoving() {
+        if (!this.physicsBody) return;
         
-        // Check distance to player
-        const distanceToPlayer = this.position.distanceTo(player.position);
+        const verticalVelocity = this.physicsBody.velocity.dot(this.surfaceNormal);
+        this.physicsBody.velocity.copy(this.surfaceNormal.clone().multiplyScalar(verticalVelocity));
+    }
         
-        // If player moved away, go back to chase
-        if (distanceToPlayer > this.attackRange * 1.2) {
-            this.changeState('chase');
-            return;
+    // Swing at a target - damage lands on the clip's 'hit' event
+    performAttack(target) {
+        this.attackTarget = target;
+        this.lastAttackTime = this.timeSinceSpawn;
+        
+        // Swing with the upper body so the legs can keep moving
+        const action = this.locomotion && this.locomotion.isActive() ?
+            this.locomotion.playUpperBody('attack', false) : null;
+        if (action) {
+            this.animationEvents.play('attack', action, false);
+        } else {
+            this.playAnimation('attack', false);
         }
+    }
         
-        // Face the player - modified for planet surface
-        this.lookAtOnPlanet(player.position);
-        
-        // Execute attack with cooldown
-        if (this.timeSinceSpawn - this.lastAttackTime > this.attackCooldown) {
-            // Play attack animation
-            this.playAnimation('attack', false);
-            
-            // Deal damage at appropriate time in animation (after 0.5s)
-            setTimeout(() => {
-                if (this.state === 'attack' && player.takeDamage && 
-                    this.position.distanceTo(player.position) <= this.attackRange) {
-                    player.takeDamage(20, this);
-                }
-            }, 500);
-            
-            this.lastAttackTime = this.timeSinceSpawn;
+    /**
+     * React to an event in the playing clip (see clipEvents)
+     * @param {string} name - Event name
+     * @param {string} clipName - Clip it belongs to
+     */
+    handleAnimationEvent(name, clipName) {
+        switch (name) {
+            case 'hit':
+                this.landAttack();
+                break;
+                
+            case 'end':
+                this.attackTarget = null;
+                break;
             
-            // Return to chase after attack completes
-            setTimeout(() => {
-                if (this.state === 'attack') {
-                    this.changeState('chase');
+            case 'bite':
+                if (this.state === 'grab' && this.grabTarget) {
+                    this.grabTarget.takeDamage(this.biteDamage, this);
                 }
-            }, 1200);
+                break;
         }
     }
     
-    // Check if zombie can see player - updated for planet curvature
+    // Damage the swing's target if it's still in reach
+    landAttack() {
+        const target = this.attackTarget;
+        if (!target || this.state !== 'attack' || this.staggerTime > 0) return;
+        if (!target.takeDamage || target.isDead) return;
+        if (this.position.distanceTo(target.position) > this.attackRange) return;
+        
+        target.takeDamage(this.attackDamage, this);
+        
+        if (this.attackKnockback > 0) {
+            this.knockBack(target);
+        }
+    }
+    
+    /**
+     * Latch onto a target, holding it in place (see GrabController)
+     * @param {Player} target - Target to grab
+     * @param {string} animation - Clip to play while biting
+     * @returns {boolean} - True if the grab took hold
+     */
+    grab(target, animation = 'neckbite') {
+        if (!target || !target.grabController || this.grabTarget) return false;
+        if (!target.grabController.grab(this)) return false;
+        
+        this.grabTarget = target;
+        this.changeState('grab');
+        this.lookAtOnPlanet(target.position);
+        this.playAnimation(this.animations[animation] ? animation : 'attack', true);
+        
+        return true;
+    }
+    
+    /**
+     * Let go of the grabbed target
+     * @param {boolean} escaped - True if the target broke free
+     */
+    releaseGrab(escaped = false) {
+        const target = this.grabTarget;
+        if (!target) return;
+        
+        this.grabTarget = null;
+        target.grabController.release(this, escaped);
+        
+        // The grab action is cut off by the stagger that follows, so its tree
+        // cooldown never starts - hold off here instead
+        if (escaped) {
+            this.grabReadyTime = this.timeSinceSpawn + this.grabEscapeCooldown;
+        }
+    }
+    
+    // Shove a target away along the ground, lifting it slightly off its feet
+    knockBack(target) {
+        if (!target.physicsBody) return;
+        
+        const direction = this.getTangentDirectionTo(target.position) || this.getForwardDirection();
+        const up = target.surfaceNormal || this.surfaceNormal;
+        target.physicsBody.velocity
+            .addScaledVector(direction, this.attackKnockback)
+            .addScaledVector(up, this.attackKnockback * 0.3);
+    }
+    
+    // Check if zombie can see player - view cone plus line of sight past structures and the planet
     updatePerception(deltaTime) {
         // Only update perception periodically
         this.updatePerceptionTime -= deltaTime;
@@ -524,45 +807,117 @@ export class Zombie {
             this.updatePerceptionTime = this.perceptionUpdateRate;
             
             // Reset perception
-            const previouslyCouldSeePlayer = this.canSeePlayer;
             this.canSeePlayer = false;
             
             // Get player
             const player = this.engine.player;
-            if (!player) return;
+            if (!player || player.isDead) return;
             
             // Check distance to player
             const distanceToPlayer = this.position.distanceTo(player.position);
             
-            // If within detection range, can see player
-            if (distanceToPlayer <= this.detectionRange) {
-                // Line of sight check considering planet curvature
-                // If dot product of directions to player and surface normal is positive,
-                // player is above horizon and visible
-                const dirToPlayer = new Vector3().subVectors(player.position, this.position).normalize();
-                const normalDot = dirToPlayer.dot(this.surfaceNormal);
-                
-                // Check angle between player direction and surface tangent
-                // If angle is close to 90 degrees, player is over the horizon
-                const horizontalAngle = Math.acos(Math.abs(normalDot));
-                
-                // If angle is less than 80 degrees, player is visible
-                // (allowing some visibility beyond perfect tangent)
-                if (horizontalAngle < Math.PI/2.2) {
-                    this.canSeePlayer = true;
-                    
-                    // If just spotted player, react
-                    if (!previouslyCouldSeePlayer && this.state === 'idle') {
-                        this.onPlayerSpotted();
-                    }
-                }
+            if (distanceToPlayer <= this.detectionRange &&
+                this.isInViewCone(player.position, distanceToPlayer) &&
+                this.hasLineOfSight(player)) {
+                this.canSeePlayer = true;
+                this.lastKnownPlayerPosition = player.position.clone();
             }
         }
     }
     
-    onPlayerSpotted() {
-        // React to seeing player - change state to chase
-        this.changeState('chase');
+    isInViewCone(targetPosition, distance) {
+        // Close enough to hear or smell - no need to be looking
+        if (distance <= this.proximityRange) return true;
+        
+        const direction = new Vector3().subVectors(targetPosition, this.position);
+        direction.addScaledVector(this.surfaceNormal, -direction.dot(this.surfaceNormal));
+        if (direction.lengthSq() < 0.0001) return true;
+        
+        return direction.angleTo(this.getForwardDirection()) <= this.fieldOfView / 2;
+    }
+    
+    hasLineOfSight(player) {
+        // Eye to the player's upper body
+        const eye = this.position.clone().addScaledVector(this.surfaceNormal, this.eyeHeight);
+        const target = player.position.clone().addScaledVector(player.surfaceNormal, 0.5);
+        const direction = new Vector3().subVectors(target, eye);
+        const distance = direction.length();
+        if (distance < 0.001) return true;
+        
+        // Structures and the planet block vision; other bodies (zombies, pickups) don't
+        const hit = this.engine.physics.raycast(eye, direction.divideScalar(distance), distance, {
+            includeDynamic: false
+        });
+        
+        return !hit.hit;
+    }
+    
+    // Facing direction along the ground, from rotation.y
+    getForwardDirection() {
+        const { right, forward } = this.getTangentBasis(this.surfaceNormal);
+        
+        return forward.multiplyScalar(Math.cos(this.rotation.y))
+            .addScaledVector(right, Math.sin(this.rotation.y));
+    }
+    
+    // Tangent plane axes that rotation.y is measured in
+    getTangentBasis(up) {
+        const right = new Vector3().crossVectors(up, new Vector3(0, 0, 1)).normalize();
+        if (right.lengthSq() < 0.1) {
+            // If right is too small (normal aligned with Z), use X instead
+            right.crossVectors(up, new Vector3(1, 0, 0)).normalize();
+        }
+        
+        const forward = new Vector3().crossVectors(right, up).normalize();
+        
+        return { right, forward };
+    }
+    
+    // Speed along the ground, ignoring falling
+    getGroundSpeed() {
+        if (!this.physicsBody) return 0;
+        
+        const velocity = this.physicsBody.velocity;
+        const verticalSpeed = velocity.dot(this.surfaceNormal);
+        return Math.sqrt(Math.max(0, velocity.lengthSq() - verticalSpeed * verticalSpeed));
+    }
+    
+    // Distance to a point along the ground, ignoring height
+    getGroundDistanceTo(point) {
+        const offset = new Vector3().subVectors(point, this.position);
+        offset.addScaledVector(this.surfaceNormal, -offset.dot(this.surfaceNormal));
+        
+        return offset.length();
+    }
+    
+    /**
+     * React to a noise (see NoiseSystem)
+     * @param {Object} noise - { type, position, radius, intensity, source }
+     * @param {number} loudness - How loud the noise is at this zombie (0-1)
+     * @returns {boolean} - True if the zombie noticed it
+     */
+    hearNoise(noise, loudness) {
+        if (!this.isAlive || loudness < this.hearingThreshold) return false;
+        
+        // Ignore our own noises, and anything while the player is in sight
+        if (noise.source === this || this.canSeePlayer) return false;
+        
+        // The behaviour tree goes to investigate the latest one
+        this.heardNoise = {
+            type: noise.type,
+            position: noise.position.clone(),
+            loudness: loudness
+        };
+        
+        return true;
+    }
+    
+    // Direction along the ground toward a point
+    getTangentDirectionTo(targetPosition) {
+        const direction = new Vector3().subVectors(targetPosition, this.position);
+        direction.addScaledVector(this.surfaceNormal, -direction.dot(this.surfaceNormal));
+        
+        return direction.lengthSq() > 0.0001 ? direction.normalize() : null;
     }
     
     // Look at a target position - updated for planet orientation
@@ -605,55 +960,244 @@ export class Zombie {
         
         console.log(`Zombie ${this.id} state: ${oldState} -> ${newState}`);
         
+        // Whatever interrupted the grab makes it let go
+        if (oldState === 'grab') {
+            this.releaseGrab();
+        }
+        
         // State-specific setup
         switch (newState) {
             case 'idle':
                 this.playAnimation('idle', true);
-                if (this.physicsBody) {
-                    // Stop horizontal movement but maintain gravity
-                    const verticalVelocity = this.physicsBody.velocity.dot(this.surfaceNormal);
-                    this.physicsBody.velocity.copy(this.surfaceNormal.clone().multiplyScalar(verticalVelocity));
-                }
+                this.stopMoving();
+                break;
+            
+            case 'wander':
+                this.playAnimation('walk', true, 0.7);
+                break;
+            
+            case 'investigate':
+                this.playAnimation('walk', true, 1.0);
                 break;
                 
             case 'chase':
                 this.playAnimation('walk', true, 1.2);
                 break;
+            
+            case 'search':
+                this.playAnimation('walk', true, 0.8);
+                break;
+            
+            case 'lunge':
+                this.playAnimation('run', true, 1.5);
+                break;
+            
+            case 'scream':
+                this.playAnimation('scream', false);
+                this.stopMoving();
+                break;
+            
+            case 'feed':
+                // Walk over to the body - the feeding clip starts on arrival
+                this.playAnimation('walk', true, 0.8);
+                break;
                 
             case 'attack':
-                this.playAnimation('attack', false);
-                if (this.physicsBody) {
-                    // Stop horizontal movement but maintain gravity
-                    const verticalVelocity = this.physicsBody.velocity.dot(this.surfaceNormal);
-                    this.physicsBody.velocity.copy(this.surfaceNormal.clone().multiplyScalar(verticalVelocity));
-                }
+                // Swings start from performAttack, layered over the legs
+                this.attackTarget = null;
+                this.playAnimation('idle', true);
+                this.stopMoving();
+                break;
+            
+            case 'grab':
+                this.stopMoving();
                 break;
                 
             case 'death':
-                this.playAnimation('death', false);
                 this.isAlive = false;
+                if (!this.startRagdoll()) {
+                    this.playAnimation('death', false);
+                }
+                
+                // Bodies don't block the living
                 if (this.physicsBody) {
                     this.physicsBody.velocity.set(0, 0, 0);
+                    this.physicsBody.isSensor = true;
                 }
+                
+                this.engine.events.emit('zombie:died', { zombie: this, hitInfo: this.killingHit });
                 break;
         }
     }
     
-    // Handle taking damage
-    takeDamage(amount) {
+    // Handle taking damage - hitInfo describes the hit when it came from a weapon
+    takeDamage(amount, hitInfo = null) {
         this.health -= amount;
         
+        // Track damage to the legs for crippling
+        const zone = hitInfo ? hitInfo.zone : null;
+        if (zone === 'leftLeg' || zone === 'rightLeg') {
+            this.legDamage += amount;
+            
+            if (this.health > 0 && !this.isCrippled && this.legDamage >= this.crippleThreshold) {
+                this.cripple();
+            }
+        }
+        
         // Play hit reaction
         if (this.health <= 0 && this.isAlive) {
+            this.killingHit = hitInfo;
             this.changeState('death');
         }
     }
     
+    /**
+     * Knock the zombie back and suspend its AI for a moment
+     * @param {number} duration - Stagger time in seconds
+     * @param {Vector3} knockback - Velocity change, flattened onto the surface
+     */
+    stagger(duration, knockback = null) {
+        if (!this.isAlive) return;
+        
+        // Holds on through hits - the target has to break free
+        if (this.grabTarget) return;
+        
+        // Heavier archetypes shrug most of it off
+        this.staggerTime = Math.max(this.staggerTime, duration * this.staggerMultiplier);
+        
+        if (knockback && this.physicsBody) {
+            const push = knockback.clone().multiplyScalar(this.staggerMultiplier);
+            push.addScaledVector(this.surfaceNormal, -push.dot(this.surfaceNormal));
+            this.physicsBody.velocity.add(push);
+        }
+        
+        // Interrupted attacks start over once the stagger ends
+        if (this.state === 'attack' || this.state === 'grab') {
+            this.changeState('chase');
+        }
+        
+        // The tree isn't ticked while staggered - restart whatever it was doing
+        this.behaviorContext.interrupt();
+    }
+    
+    updateStagger(deltaTime) {
+        this.staggerTime -= deltaTime;
+        
+        // Slide to a stop along the surface, keeping vertical motion for gravity
+        if (this.physicsBody) {
+            const velocity = this.physicsBody.velocity;
+            const verticalSpeed = velocity.dot(this.surfaceNormal);
+            const damping = Math.max(0, 1 - this.staggerDamping * deltaTime);
+            
+            velocity.addScaledVector(this.surfaceNormal, -verticalSpeed);
+            velocity.multiplyScalar(damping);
+            velocity.addScaledVector(this.surfaceNormal, verticalSpeed);
+        }
+    }
+    
+    /**
+     * Hand the body over to a ragdoll, thrown by the killing blow
+     * @returns {boolean} - False if ragdolls are off or the model has no skeleton
+     */
+    startRagdoll() {
+        if (!this.useRagdoll || this.engine.config.ragdolls === false || !this.object) return false;
+        
+        const ragdoll = new Ragdoll(this.engine, this.bones, { radius: 0.1 * this.scale });
+        
+        // Bullets and melee push from where they hit, explosions throw the whole body
+        let impulse = null;
+        let impulsePoint = null;
+        const hit = this.killingHit;
+        const direction = hit ? hit.direction || (hit.type === 'explosion' ? hit.normal : null) : null;
+        if (direction) {
+            const speed = this.deathImpulse[hit.type] !== undefined ? this.deathImpulse[hit.type] : this.deathImpulse.default;
+            impulse = direction.clone().normalize().multiplyScalar(speed);
+            impulsePoint = hit.type === 'explosion' ? null : hit.point;
+        }
+        
+        const velocity = this.physicsBody ? this.physicsBody.velocity : null;
+        if (!ragdoll.start(velocity, impulse, impulsePoint)) return false;
+        
+        // Animation no longer drives the bones
+        if (this.locomotion) {
+            this.locomotion.stop();
+        }
+        if (this.mixer) {
+            this.mixer.stopAllAction();
+        }
+        this.animationEvents.stop();
+        this.currentAnimation = null;
+        
+        // The ragdoll moves the body from here on
+        if (this.physicsBody && this.engine.physics) {
+            this.engine.physics.removeBody(this.physicsBody);
+        }
+        
+        this.ragdoll = ragdoll;
+        return true;
+    }
+    
+    // Dead bodies settle, either as a ragdoll or by finishing the death clip
+    updateCorpse(deltaTime) {
+        if (this.ragdoll) {
+            this.ragdoll.update(deltaTime);
+            this.position.copy(this.ragdoll.getPosition());
+            return;
+        }
+        
+        if (this.locomotion) {
+            this.locomotion.update(deltaTime * this.animationSpeed, 0);
+        }
+        if (this.mixer) {
+            this.mixer.update(deltaTime * this.animationSpeed);
+        }
+        
+        if (this.physicsBody) {
+            this.position.copy(this.physicsBody.position);
+        }
+        if (this.object) {
+            this.object.position.copy(this.position);
+        }
+    }
+    
+    // Permanently switch to crawling locomotion
+    cripple() {
+        if (this.isCrippled || !this.isAlive) return;
+        
+        this.isCrippled = true;
+        
+        // Crawling zombies are lower to the ground and can't reach as far
+        this.attackRange = this.crippledAttackRange;
+        if (this.physicsBody) {
+            this.physicsBody.setRadius(this.crippledBodyRadius);
+        }
+        
+        // Swap the locomotion clips for their crawl versions
+        if (this.locomotion && this.crippledLocomotionClips.some(point => this.animations[point.clip])) {
+            this.locomotion.setPoints(this.crippledLocomotionClips, this.scale);
+        } else if (this.currentAnimationName && this.crippledAnimations[this.currentAnimationName]) {
+            this.playAnimation(this.currentAnimationName, true);
+        }
+        
+        console.log(`Zombie ${this.id} crippled`);
+        this.engine.events.emit('zombie:crippled', { zombie: this });
+    }
+    
     // Required method for EntityManager
     destroy() {
+        // Don't leave the player held by a zombie that's gone
+        this.releaseGrab();
+        
         // Remove from scene
         if (this.object) {
             this.engine.renderer.scene.remove(this.object);
+            
+            // Each clone has its own skeleton (geometry and materials are shared with the model)
+            this.object.traverse(node => {
+                if (node.isSkinnedMesh && node.skeleton) {
+                    node.skeleton.dispose();
+                }
+            });
         }
         
         if (this.skeletonHelper) {
@@ -665,11 +1209,25 @@ export class Zombie {
             this.engine.physics.removeBody(this.physicsBody);
         }
         
-        // Clear animation data
+        if (this.ragdoll) {
+            this.ragdoll.stop();
+            this.ragdoll = null;
+        }
+        
+        // Clear animation data, including the mixer's cached actions and bindings
+        if (this.locomotion) {
+            this.locomotion.stop();
+            this.locomotion = null;
+        }
         if (this.mixer) {
             this.mixer.stopAllAction();
+            if (this.object) {
+                this.mixer.uncacheRoot(this.object);
+            }
+            this.mixer = null;
         }
         
+        this.animationEvents.stop();
         this.animations = {};
         this.currentAnimation = null;
         this.enabled = false;
@@ -0,0 +1,82 @@
+// src/entities/ZombieRegistry.js
+import { Zombie } from './Zombie.js';
+
+export class ZombieRegistry {
+    constructor(engine) {
+        this.engine = engine;
+        
+        // Archetype definitions by id
+        this.definitions = new Map();
+    }
+    
+    /**
+     * Load zombie archetypes from JSON
+     * @param {string} path - Path to the definitions file
+     * @returns {Promise<boolean>} - Success status
+     */
+    async load(path = 'data/zombies.json') {
+        try {
+            const data = await this.engine.assetManager.loadJSON('zombies', path);
+            
+            for (const [id, definition] of Object.entries(data)) {
+                this.register(id, definition);
+            }
+            
+            console.log(`Loaded ${this.definitions.size} zombie archetypes`);
+            return true;
+        } catch (error) {
+            console.error("Failed to load zombie archetypes:", error);
+            return false;
+        }
+    }
+    
+    /**
+     * Register an archetype
+     * @param {string} id - Archetype id referenced by maps and the enemy manager
+     * @param {Object} definition - Archetype definition
+     */
+    register(id, definition) {
+        this.definitions.set(id, definition);
+    }
+    
+    /**
+     * Get an archetype definition
+     * @param {string} id - Archetype id
+     * @returns {Object|null} - Definition or null if unknown
+     */
+    getDefinition(id) {
+        return this.definitions.get(id) || null;
+    }
+    
+    /**
+     * Behaviour tree ids used by the registered archetypes
+     * @returns {Array<string>} - Unique tree ids
+     */
+    getBehaviorIds() {
+        const ids = new Set();
+        for (const definition of this.definitions.values()) {
+            ids.add(definition.behavior || 'zombie');
+        }
+        return [...ids];
+    }
+    
+    /**
+     * Create a zombie from its archetype
+     * @param {string} id - Archetype id
+     * @param {Vector3} position - Spawn position
+     * @param {Object} overrides - Per-instance values that replace definition values
+     * @returns {Promise<Zombie|null>} - Initialized zombie or null if unknown
+     */
+    async createZombie(id, position, overrides = {}) {
+        const definition = this.getDefinition(id);
+        if (!definition) {
+            console.error(`Unknown zombie type: ${id}`);
+            return null;
+        }
+        
+        const zombie = new Zombie(this.engine, position, { ...definition, ...overrides, id: id });
+        await zombie.init(this.engine);
+        
+        return zombie;
+    }
+}
\ No newline at end of file
@@ -1,7 +1,6 @@
 // src/main.js
 import { Engine } from './engine/Engine.js';
 import { Vector3 } from 'three';
-import { Zombie } from './entities/Zombie.js';
 import { PlanetBody } from './physics/PlanetBody.js';
 
 async function initGame() {
@@ -40,8 +39,8 @@ async function initGame() {
         // Spawn a test zombie after a short delay
         setTimeout(() => {
             // Create a zombie at a specific position
-            const testZombie = new Zombie(engine, new Vector3(5, 0, -5));
-            testZombie.init(engine).then(() => {
+            engine.zombieRegistry.createZombie('walker', new Vector3(5, 0, -5)).then((testZombie) => {
+                if (!testZombie) return;
                 engine.entityManager.addEntity(testZombie);
                 console.log("Test zombie spawned at", testZombie.position);
             });
@@ -41,7 +41,6 @@ export class EntitySpawner {
         
         // Register weapon pickup entity
         try {
-            const { Weapon } = await import('../weapons/Weapon.js');
             const { WeaponPickup } = await import('../weapons/WeaponPickup.js');
             
             this.registerEntity('weapon', async (data) => {
@@ -51,33 +50,12 @@ export class EntitySpawner {
                     data.position.z || 0
                 );
                 
-                // Get properties with defaults
-                const props = data.properties || {};
-                
-                // Create the weapon with properties from map
-                const weapon = new Weapon({
-                    name: props.name || data.weaponType,
-                    damage: props.damage || 10,
-                    fireRate: props.fireRate || 5,
-                    ammoCapacity: props.ammoCapacity || 30,
-                    reserveAmmo: props.reserveAmmo || 90,
-                    reloadTime: props.reloadTime || 2.0,
-                    position: props.viewPosition ? 
-                        new Vector3(
-                            props.viewPosition.x || 0.3,
-                            props.viewPosition.y || -0.3,
-                            props.viewPosition.z || -0.5
-                        ) : 
-                        new Vector3(0.3, -0.3, -0.5)
-                });
-                
-                // Initialize the weapon
-                weapon.init(this.engine);
-                
-                // Load the weapon model
-                if (this.engine.assetManager.getModel(data.weaponType)) {
-                    weapon.loadModel(data.weaponType);
-                }
+                // Build the weapon from its definition, with optional overrides
+                const weapon = await this.engine.weaponRegistry.createWeapon(
+                    data.weaponType,
+                    data.properties || {}
+                );
+                if (!weapon) return null;
                 
                 // Create and return the pickup
                 return new WeaponPickup({
@@ -88,6 +66,25 @@ export class EntitySpawner {
         } catch (error) {
             console.error("Error registering weapon entity:", error);
         }
+        
+        // Register ammo pickup entity
+        try {
+            const { AmmoPickup } = await import('../weapons/AmmoPickup.js');
+            
+            this.registerEntity('ammo', (data) => {
+                return new AmmoPickup({
+                    position: new Vector3(
+                        data.position.x || 0,
+                        data.position.y || 0,
+                        data.position.z || 0
+                    ),
+                    ammoType: data.ammoType,
+                    amount: data.amount || 0
+                });
+            });
+        } catch (error) {
+            console.error("Error registering ammo entity:", error);
+        }
     }
     
     /**
@@ -129,6 +126,7 @@ export class EntitySpawner {
         try {
             // Create entity - handle both sync and async constructors
             const entity = await Promise.resolve(constructor(entityData));
+            if (!entity) return null;
             
             // Add to entity manager
             this.engine.entityManager.addEntity(entity);
@@ -23,12 +23,26 @@ export class MapLoader {
             // Create map objects
             await this.createMapObjects(mapData);
             
+            // Bake navigation around the map's structures
+            this.engine.navigation.bake();
+            
             // Set player spawn
             this.setPlayerSpawn(mapData.playerSpawn);
             
             // Spawn weapons defined in the map
             await this.spawnWeapons(mapData.weapons);
             
+            // Spawn ammo pickups defined in the map
+            await this.spawnAmmo(mapData.ammo);
+            
+            // Set up the enemy spawner (archetypes, zones, rounds) and place any fixed zombies
+            const enemies = mapData.enemies || {};
+            this.engine.enemyManager.setArchetypes(enemies.archetypes);
+            this.engine.enemyManager.setSpawnZones(enemies.spawnZones);
+            this.engine.enemyManager.setMode(enemies.mode, enemies.waves);
+            this.engine.director.configure(enemies.director);
+            await this.spawnZombies(mapData.zombies);
+            
             console.log(`Map "${mapData.name}" loaded successfully`);
             
             return mapData;
@@ -161,7 +175,6 @@ export class MapLoader {
         }
         
         // Import weapon classes
-        const { Weapon } = await import('../weapons/Weapon.js');
         const { WeaponPickup } = await import('../weapons/WeaponPickup.js');
             
         // Create each weapon defined in the map
@@ -173,35 +186,12 @@ export class MapLoader {
                 weaponData.position.z || 0
             );
             
-            // Get properties with defaults
-            const props = weaponData.properties || {};
-            
-            // Create the weapon with properties from map
-            const weapon = new Weapon({
-                name: props.name || weaponData.type,
-                damage: props.damage || 10,
-                fireRate: props.fireRate || 5,
-                ammoCapacity: props.ammoCapacity || 30,
-                reserveAmmo: props.reserveAmmo || 90,
-                reloadTime: props.reloadTime || 2.0,
-                position: props.viewPosition ? 
-                    new Vector3(
-                        props.viewPosition.x || 0.3,
-                        props.viewPosition.y || -0.3,
-                        props.viewPosition.z || -0.5
-                    ) : 
-                    new Vector3(0.3, -0.3, -0.5)
-            });
-            
-            // Initialize the weapon with the engine
-            weapon.init(this.engine);
-            
-            // Load the weapon model
-            if (this.engine.assetManager.getModel(weaponData.type)) {
-                weapon.loadModel(weaponData.type);
-            } else {
-                console.error(`Model for weapon type '${weaponData.type}' not found`);
-            }
+            // Build the weapon from its definition, with optional per-map overrides
+            const weapon = await this.engine.weaponRegistry.createWeapon(
+                weaponData.type,
+                weaponData.properties || {}
+            );
+            if (!weapon) continue;
             
             // Create weapon pickup
             const weaponPickup = new WeaponPickup({
@@ -213,4 +203,55 @@ export class MapLoader {
             this.engine.entityManager.addEntity(weaponPickup);
         }
     }
+    
+    /**
+     * Spawn ammo pickups defined in the map data
+     * @param {Array} ammoList - Array of ammo data ({ type, amount, position })
+     */
+    async spawnAmmo(ammoList) {
+        if (!ammoList || !Array.isArray(ammoList) || ammoList.length === 0) {
+            return;
+        }
+        
+        const { AmmoPickup } = await import('../weapons/AmmoPickup.js');
+        
+        for (const ammoData of ammoList) {
+            const ammoPickup = new AmmoPickup({
+                position: new Vector3(
+                    ammoData.position.x || 0,
+                    ammoData.position.y || 0,
+                    ammoData.position.z || 0
+                ),
+                ammoType: ammoData.type,
+                amount: ammoData.amount || 0
+            });
+            
+            this.engine.entityManager.addEntity(ammoPickup);
+        }
+    }
+    
+    /**
+     * Spawn zombies placed in the map data
+     * @param {Array} zombieList - Array of zombie data ({ type, position, properties })
+     */
+    async spawnZombies(zombieList) {
+        if (!zombieList || !Array.isArray(zombieList) || zombieList.length === 0) {
+            return;
+        }
+        
+        for (const zombieData of zombieList) {
+            const zombie = await this.engine.zombieRegistry.createZombie(
+                zombieData.type,
+                new Vector3(
+                    zombieData.position.x || 0,
+                    zombieData.position.y || 0,
+                    zombieData.position.z || 0
+                ),
+                zombieData.properties || {}
+            );
+            if (!zombie) continue;
+            
+            this.engine.entityManager.addEntity(zombie);
+        }
+    }
 }
\ No newline at end of file
@@ -35,6 +35,9 @@ export class PhysicsBody {
         this.onGround = false;
         this.usesGravity = options.usesGravity !== undefined ? options.usesGravity : true;
         
+        // Sensors move and fall like normal bodies but get no collision response
+        this.isSensor = options.isSensor !== undefined ? options.isSensor : false;
+        
         // Reference to owner entity if provided
         this.entity = options.entity || null;
         
@@ -83,6 +86,18 @@ export class PhysicsBody {
         this.velocity.add(impulse.clone().multiplyScalar(this.invMass));
     }
     
+    /**
+     * Change the radius of a sphere body
+     * @param {number} radius - New radius
+     */
+    setRadius(radius) {
+        if (this.radius === undefined) return;
+        
+        this.radius = radius;
+        this.collider.radius = radius;
+        this.collider.sphere.radius = radius;
+    }
+    
     /**
      * Integrate forces to update acceleration and velocity
      * @param {number} timeStep - Physics time step
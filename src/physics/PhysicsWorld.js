@@ -1,6 +1,8 @@
 // src/physics/PhysicsWorld.js
-import { Vector3 } from 'three';
+import { Vector3, Ray, Sphere, Box3 } from 'three';
 import { PhysicsBody, StaticBody } from './PhysicsBody.js';
+import { BoxCollider, SphereCollider } from './Collider.js';
+import { RaycastResult } from './RaycastResult.js';
 
 export class PhysicsWorld {
     constructor(engine) {
@@ -163,9 +165,14 @@ export class PhysicsWorld {
         for (let i = 0; i < this.bodies.length; i++) {
             const bodyA = this.bodies[i];
             
+            // Sensors detect their own overlaps and get no collision response
+            if (bodyA.isSensor) continue;
+            
             // Dynamic vs Dynamic
             for (let j = i + 1; j < this.bodies.length; j++) {
                 const bodyB = this.bodies[j];
+                if (bodyB.isSensor) continue;
+                
                 if (this.checkCollision(bodyA, bodyB)) {
                     this.resolveCollision(bodyA, bodyB);
                 }
@@ -183,6 +190,105 @@ export class PhysicsWorld {
         }
     }
     
+    /**
+     * Cast a ray against the planet and body colliders
+     * @param {Vector3} origin - Ray origin
+     * @param {Vector3} direction - Normalized ray direction
+     * @param {number} maxDistance - Maximum hit distance
+     * @param {Object} options - Raycast options
+     * @param {Array} options.ignore - Bodies to skip
+     * @param {boolean} options.includeDynamic - Test dynamic bodies (default true)
+     * @param {boolean} options.includePlanet - Test the planet sphere (default true)
+     * @param {number} options.radius - Inflate every shape to approximate a sphere cast
+     * @param {Function} options.filter - Return false to skip a body
+     * @returns {RaycastResult} - Closest hit
+     */
+    raycast(origin, direction, maxDistance = Infinity, options = {}) {
+        const result = new RaycastResult();
+        const ray = new Ray(origin.clone(), direction.clone().normalize());
+        const ignore = options.ignore || [];
+        const radius = options.radius || 0;
+        const hitPoint = new Vector3();
+        
+        const testBody = (body) => {
+            if (ignore.includes(body) || body.isSensor) return;
+            if (options.filter && options.filter(body) === false) return;
+            
+            let normal = null;
+            
+            if (body.collider instanceof BoxCollider) {
+                const box = radius > 0 ?
+                    body.collider.box.clone().expandByScalar(radius) : body.collider.box;
+                if (!ray.intersectBox(box, hitPoint)) return;
+                normal = this.getBoxNormal(box, hitPoint);
+            } else if (body.collider instanceof SphereCollider) {
+                const sphere = new Sphere(body.collider.position, body.collider.radius + radius);
+                if (!ray.intersectSphere(sphere, hitPoint)) return;
+                normal = hitPoint.clone().sub(sphere.center).normalize();
+            } else {
+                return;
+            }
+            
+            const distance = hitPoint.distanceTo(ray.origin);
+            if (distance <= maxDistance && distance < result.distance) {
+                result.hit = true;
+                result.distance = distance;
+                result.point.copy(hitPoint);
+                result.normal.copy(normal);
+                result.body = body;
+            }
+        };
+        
+        // Planet surface
+        if (this.planetBody && options.includePlanet !== false) {
+            const sphere = new Sphere(this.planetBody.center, this.planetBody.radius + radius);
+            if (ray.intersectSphere(sphere, hitPoint)) {
+                const distance = hitPoint.distanceTo(ray.origin);
+                if (distance <= maxDistance && !ignore.includes(this.planetBody)) {
+                    result.hit = true;
+                    result.distance = distance;
+                    result.point.copy(hitPoint);
+                    result.normal.copy(hitPoint).sub(this.planetBody.center).normalize();
+                    result.body = this.planetBody;
+                }
+            }
+        }
+        
+        // Static bodies (planets are handled above)
+        for (const body of this.staticBodies) {
+            if (body.isPlanet) continue;
+            testBody(body);
+        }
+        
+        // Dynamic bodies
+        if (options.includeDynamic !== false) {
+            for (const body of this.bodies) {
+                testBody(body);
+            }
+        }
+        
+        return result;
+    }
+    
+    // Get the face normal of a box at a point on its surface
+    getBoxNormal(box, point) {
+        const center = box.getCenter(new Vector3());
+        const size = box.getSize(new Vector3()).multiplyScalar(0.5);
+        const local = point.clone().sub(center);
+        
+        // The axis where the point is closest to the box face wins
+        const ratios = [
+            Math.abs(local.x) / (size.x || 1),
+            Math.abs(local.y) / (size.y || 1),
+            Math.abs(local.z) / (size.z || 1)
+        ];
+        const axis = ratios.indexOf(Math.max(...ratios));
+        
+        const normal = new Vector3();
+        normal.setComponent(axis, Math.sign(local.getComponent(axis)) || 1);
+        return normal;
+    }
+    
     checkCollision(bodyA, bodyB) {
         // Use collider intersection if available
         if (bodyA.collider && bodyB.collider) {
@@ -0,0 +1,172 @@
+// src/player/GrabController.js
+import { Vector3 } from 'three';
+
+/**
+ * Being grabbed by a zombie
+ * While held the player can't move or look away from the zombie, and breaks
+ * free by mashing jump or landing melee hits on it.
+ */
+export class GrabController {
+    constructor(player) {
+        this.player = player;
+        this.engine = player.engine;
+        
+        // Zombie currently holding on
+        this.zombie = null;
+        
+        // Escape minigame - progress runs from 0 to 1
+        this.escapeProgress = 0;
+        this.escapeScale = 1.0; // Set from the zombie's grip strength
+        this.mashStrength = 0.1; // Per jump press
+        this.meleeStrength = 0.35; // Per melee hit on the grabbing zombie
+        this.escapeDecay = 0.25; // Per second, so slow mashing never gets free
+        this.escapeStagger = 1.2; // Seconds the zombie is stunned after losing its grip
+        this.escapePush = 4.0; // Speed the zombie is shoved away at
+        
+        // How quickly the view is dragged round to face the zombie
+        this.lookSpeed = 10.0;
+        
+        // HUD elements
+        this.prompt = document.getElementById('grab-prompt');
+        this.progressBar = document.getElementById('grab-progress');
+        
+        this.setupInputBindings();
+    }
+    
+    setupInputBindings() {
+        // Mash jump to struggle free (held keys don't count)
+        this.engine.input.onKeyDown('Space', (event) => {
+            if (event && event.repeat) return;
+            this.struggle(this.mashStrength);
+        });
+        
+        // Melee hits on the zombie loosen its grip
+        this.engine.events.on('melee:hit', (hitInfo) => {
+            if (this.zombie && hitInfo.entity === this.zombie) {
+                this.struggle(this.meleeStrength);
+            }
+        });
+    }
+    
+    isGrabbed() {
+        return this.zombie !== null;
+    }
+    
+    /**
+     * Let a zombie grab the player
+     * @param {Zombie} zombie - Zombie latching on
+     * @returns {boolean} - False if the player can't be grabbed right now
+     */
+    grab(zombie) {
+        if (this.zombie || this.player.isDead) return false;
+        
+        this.zombie = zombie;
+        this.escapeProgress = 0;
+        
+        // Tougher zombies take more struggling to shake off
+        this.escapeScale = 1 / (zombie.grabStrength || 1.0);
+        
+        this.updateHUD();
+        this.engine.events.emit('grab:start', { player: this.player, zombie: zombie });
+        
+        return true;
+    }
+    
+    /**
+     * End the grab (see Zombie.releaseGrab)
+     * @param {Zombie} zombie - Zombie letting go
+     * @param {boolean} escaped - True if the player broke free
+     */
+    release(zombie, escaped = false) {
+        if (this.zombie !== zombie) return;
+        
+        this.zombie = null;
+        this.escapeProgress = 0;
+        
+        // Don't jump on the press that broke free
+        this.player.jumpRequested = false;
+        
+        this.updateHUD();
+        this.engine.events.emit('grab:end', { player: this.player, zombie: zombie, escaped: escaped });
+    }
+    
+    struggle(amount) {
+        if (!this.zombie) return;
+        
+        this.escapeProgress += amount * this.escapeScale;
+        if (this.escapeProgress < 1) {
+            this.updateHUD();
+            return;
+        }
+        
+        // Broke free - shove the zombie off and stun it
+        const zombie = this.zombie;
+        zombie.releaseGrab(true);
+        
+        const push = new Vector3().subVectors(zombie.position, this.player.position);
+        if (push.lengthSq() > 0.0001) {
+            push.setLength(this.escapePush);
+        }
+        zombie.stagger(this.escapeStagger, push);
+    }
+    
+    update(deltaTime) {
+        const zombie = this.zombie;
+        if (!zombie) return;
+        
+        // The zombie may have died or been knocked loose
+        if (!zombie.isAlive || zombie.grabTarget !== this.player) {
+            this.release(zombie);
+            return;
+        }
+        
+        this.escapeProgress = Math.max(0, this.escapeProgress - this.escapeDecay * deltaTime);
+        this.updateHUD();
+        
+        this.holdPlayer();
+        this.faceZombie(deltaTime);
+    }
+    
+    // Stop sliding along the ground, but keep falling
+    holdPlayer() {
+        const body = this.player.physicsBody;
+        const up = this.player.surfaceNormal;
+        const verticalSpeed = body.velocity.dot(up);
+        
+        body.velocity.copy(up).multiplyScalar(verticalSpeed);
+    }
+    
+    // Turn the view toward the zombie's head
+    faceZombie(deltaTime) {
+        const player = this.player;
+        const eye = player.position.clone().addScaledVector(player.surfaceNormal, this.engine.camera.offset.y);
+        const head = this.zombie.position.clone().addScaledVector(this.zombie.surfaceNormal, this.zombie.eyeHeight);
+        
+        // Direction in the player's surface-aligned frame (see PlayerCamera)
+        const direction = new Vector3().subVectors(head, eye);
+        if (direction.lengthSq() < 0.0001) return;
+        direction.normalize().applyQuaternion(player.orientationQuaternion.clone().invert());
+        
+        const targetYaw = Math.atan2(-direction.x, -direction.z);
+        const targetPitch = Math.asin(Math.max(-1, Math.min(1, direction.y)));
+        
+        // Shortest way round
+        let yawDelta = (targetYaw - player.horizontalAngle) % (Math.PI * 2);
+        if (yawDelta > Math.PI) yawDelta -= Math.PI * 2;
+        if (yawDelta < -Math.PI) yawDelta += Math.PI * 2;
+        
+        const blend = Math.min(1, this.lookSpeed * deltaTime);
+        player.horizontalAngle += yawDelta * blend;
+        player.verticalAngle += (targetPitch - player.verticalAngle) * blend;
+        player.updateViewRotation();
+    }
+    
+    updateHUD() {
+        if (this.prompt) {
+            this.prompt.style.display = this.zombie ? 'block' : 'none';
+        }
+        if (this.progressBar) {
+            this.progressBar.style.width = `${Math.round(this.escapeProgress * 100)}%`;
+        }
+    }
+}
\ No newline at end of file
@@ -71,8 +71,9 @@ export class InteractionSystem {
         
         // Update UI prompt
         if (this.currentInteractable) {
-            this.showInteractionPrompt("Press E to pick up " + 
-                (this.currentInteractable.weapon ? this.currentInteractable.weapon.name : "weapon"));
+            const action = typeof this.currentInteractable.getInteractionText === 'function' ?
+                this.currentInteractable.getInteractionText() : "interact";
+            this.showInteractionPrompt("Press E to " + action);
         } else {
             this.hideInteractionPrompt();
         }
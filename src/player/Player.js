@@ -4,6 +4,7 @@ import { Movement } from './Movement.js';
 import { PhysicsBody } from '../physics/PhysicsBody.js';
 import { WeaponManager } from '../weapons/WeaponManager.js';
 import { InteractionSystem } from './InteractionSystem.js';
+import { GrabController } from './GrabController.js';
 
 export class Player {
     constructor(engine) {
@@ -85,6 +86,11 @@ export class Player {
         // Setup input bindings
         this.setupInputBindings();
         
+        // Held in place while a zombie has hold of the player. Created after the
+        // bindings above so its jump handler runs last and can cancel the jump
+        // on the press that breaks free.
+        this.grabController = new GrabController(this);
+        
         // Debug
         this.debugJump = false;
     }
@@ -129,10 +135,29 @@ export class Player {
     }
     
     rotate(dx, dy) {
+        // The view is locked onto a zombie that has hold of the player
+        if (this.grabController.isGrabbed()) return;
+        
         // Update rotation angles
         this.horizontalAngle -= dx * this.mouseSensitivity;
         this.verticalAngle -= dy * this.mouseSensitivity;
         
+        this.updateViewRotation();
+    }
+    
+    /**
+     * Kick the view by a fixed amount (weapon recoil)
+     * @param {number} pitch - Upward rotation in radians
+     * @param {number} yaw - Rotation to the left in radians
+     */
+    addViewKick(pitch, yaw) {
+        this.verticalAngle += pitch;
+        this.horizontalAngle += yaw;
+        
+        this.updateViewRotation();
+    }
+    
+    updateViewRotation() {
         // Clamp vertical rotation angle to prevent over-rotation
         // Use a slightly smaller range than ±PI/2 to prevent gimbal lock
         const maxVerticalAngle = Math.PI / 2 - 0.01;
@@ -149,6 +174,11 @@ export class Player {
     processJump() {
         const currentTime = performance.now();
         
+        // Jump presses go toward breaking free instead
+        if (this.grabController.isGrabbed()) {
+            return false;
+        }
+        
         // Check if we're within coyote time (recently left ground)
         const inCoyoteTime = currentTime - this.lastGroundedTime < this.coyoteTime;
         const canFirstJump = this.onGround || inCoyoteTime;
@@ -210,7 +240,11 @@ export class Player {
         return false;
     }
     
-    takeDamage(amount) {
+    /**
+     * @param {number} amount - Damage dealt
+     * @param {Object} source - Attacking entity or hit info, if known
+     */
+    takeDamage(amount, source = null) {
         const currentTime = performance.now();
         
         // Check if player is invulnerable
@@ -229,6 +263,12 @@ export class Player {
         
         // Update UI
         this.updateHealthUI();
+        this.engine.events.emit('player:damaged', {
+            player: this,
+            amount: amount,
+            health: this.health,
+            source: source
+        });
         
         // Check if player died
         if (this.health <= 0) {
@@ -374,8 +414,13 @@ export class Player {
             }
         }
         
-        // Update movement based on input
-        this.movement.update(deltaTime);
+        // Struggle against any zombie holding on
+        this.grabController.update(deltaTime);
+        
+        // Update movement based on input (held in place while grabbed)
+        if (!this.grabController.isGrabbed()) {
+            this.movement.update(deltaTime);
+        }
         
         // Update weapon manager
         this.weaponManager.update(deltaTime);
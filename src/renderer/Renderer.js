@@ -106,6 +106,7 @@ export class Renderer {
         // Create mesh
         const terrain = new Mesh(geometry, material);
         terrain.receiveShadow = true;
+        terrain.userData.surface = 'terrain';
         
         // Add to scene
         this.scene.add(terrain);
@@ -169,6 +170,9 @@ export class Renderer {
             mesh.castShadow = true;
             mesh.receiveShadow = true;
             
+            // Surface type for impact effects
+            mesh.userData.surface = structureData.surface || 'crate';
+            
             // Add to scene
             this.scene.add(mesh);
             this.mapObjects.push(mesh);
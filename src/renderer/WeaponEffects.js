@@ -0,0 +1,393 @@
+// src/renderer/WeaponEffects.js
+import {
+    Vector3,
+    Quaternion,
+    Color,
+    Group,
+    PointLight,
+    Sprite,
+    SpriteMaterial,
+    CanvasTexture,
+    BufferGeometry,
+    BufferAttribute,
+    Line,
+    LineBasicMaterial,
+    Points,
+    PointsMaterial,
+    PlaneGeometry,
+    MeshBasicMaterial,
+    Mesh,
+    AdditiveBlending
+} from 'three';
+
+/**
+ * Impact effects per surface type (set with userData.surface on scene objects)
+ */
+export const SurfaceEffects = {
+    terrain: { decal: true, decalColor: '#1c150d', decalSize: 0.14, particleColor: 0x8b7355, particleCount: 8, particleSpeed: 2.5 },
+    crate: { decal: true, decalColor: '#140d06', decalSize: 0.08, particleColor: 0xc8a165, particleCount: 6, particleSpeed: 3.0 },
+    flesh: { decal: false, particleColor: 0x7a0a0a, particleCount: 12, particleSpeed: 2.0 },
+    default: { decal: true, decalColor: '#111111', decalSize: 0.08, particleColor: 0x999999, particleCount: 5, particleSpeed: 2.5 }
+};
+
+/**
+ * Muzzle flashes, tracers and impact decals/particles for weapon fire
+ */
+export class WeaponEffects {
+    constructor(engine) {
+        this.engine = engine;
+        
+        // Everything spawned in the world lives under one root that weapon raycasts skip
+        this.root = new Group();
+        this.root.userData.ignoreRaycast = true;
+        
+        // Muzzle flash
+        this.flashDuration = 0.05;
+        this.flashTimer = 0;
+        this.flash = null;
+        this.flashLight = null;
+        this.flashSprite = null;
+        
+        // Tracers
+        this.tracerPoolSize = 16;
+        this.tracerDuration = 0.06;
+        this.tracers = [];
+        this.nextTracer = 0;
+        
+        // Decals - the oldest is reused once the pool is full
+        this.maxDecals = 64;
+        this.decalOffset = 0.01; // Lift off the surface to avoid z-fighting
+        this.decals = [];
+        this.nextDecal = 0;
+        this.decalMaterials = new Map();
+        this.decalGeometry = new PlaneGeometry(1, 1);
+        
+        // Impact particles
+        this.maxParticles = 256;
+        this.particleLifetime = 0.5;
+        this.particleGravity = 9.0;
+        this.particles = [];
+        this.particlePoints = null;
+        
+        this.setupListeners();
+    }
+    
+    init() {
+        this.engine.renderer.scene.add(this.root);
+        
+        this.createMuzzleFlash();
+        this.createTracers();
+        this.createParticles();
+    }
+    
+    setupListeners() {
+        const events = this.engine.events;
+        
+        events.on('weapon:fired', (event) => this.onWeaponFired(event));
+        events.on('weapon:hit', (hitInfo) => this.onWeaponHit(hitInfo));
+        events.on('melee:hit', (hitInfo) => {
+            this.spawnParticles(hitInfo.point, hitInfo.normal, this.getSurfaceEffect(hitInfo.object));
+        });
+    }
+    
+    createMuzzleFlash() {
+        this.flash = new Group();
+        
+        // Light stays in the scene at zero intensity so shaders aren't recompiled per shot
+        this.flashLight = new PointLight(0xffaa55, 0, 6, 2);
+        this.flash.add(this.flashLight);
+        
+        this.flashSprite = new Sprite(new SpriteMaterial({
+            map: this.createRadialTexture('rgba(255, 245, 200, 1)', 'rgba(255, 140, 40, 0)'),
+            blending: AdditiveBlending,
+            depthWrite: false,
+            transparent: true
+        }));
+        this.flashSprite.visible = false;
+        this.flash.add(this.flashSprite);
+        
+        // Flash follows the camera like the viewmodel
+        this.engine.camera.camera.add(this.flash);
+    }
+    
+    createTracers() {
+        for (let i = 0; i < this.tracerPoolSize; i++) {
+            const geometry = new BufferGeometry();
+            geometry.setAttribute('position', new BufferAttribute(new Float32Array(6), 3));
+            
+            const line = new Line(geometry, new LineBasicMaterial({
+                color: 0xffdd99,
+                transparent: true,
+                opacity: 0,
+                blending: AdditiveBlending,
+                depthWrite: false
+            }));
+            line.frustumCulled = false;
+            line.visible = false;
+            
+            this.root.add(line);
+            this.tracers.push({ line: line, life: 0 });
+        }
+    }
+    
+    createParticles() {
+        const geometry = new BufferGeometry();
+        geometry.setAttribute('position', new BufferAttribute(new Float32Array(this.maxParticles * 3), 3));
+        geometry.setAttribute('color', new BufferAttribute(new Float32Array(this.maxParticles * 3), 3));
+        geometry.setDrawRange(0, 0);
+        
+        this.particlePoints = new Points(geometry, new PointsMaterial({
+            size: 0.05,
+            vertexColors: true
+        }));
+        this.particlePoints.frustumCulled = false;
+        
+        this.root.add(this.particlePoints);
+    }
+    
+    onWeaponFired(event) {
+        const weapon = event.weapon;
+        if (!this.flash || weapon.owner !== this.engine.player) return;
+        
+        // Muzzle position in camera space (the weapon holder is a child of the camera)
+        const holder = weapon.weaponHolder;
+        this.flash.position.copy(weapon.muzzleOffset)
+            .applyQuaternion(holder.quaternion)
+            .add(holder.position);
+        
+        // Vary each flash a little
+        const scale = 0.25 + Math.random() * 0.15;
+        this.flashSprite.scale.set(scale, scale, 1);
+        this.flashSprite.material.rotation = Math.random() * Math.PI * 2;
+        this.flashSprite.visible = true;
+        this.flashLight.intensity = 3;
+        this.flashTimer = this.flashDuration;
+        
+        // Hit-scan rounds get a tracer from the barrel to where they landed
+        if (weapon.fireType !== 'projectile') {
+            const start = holder.localToWorld(weapon.muzzleOffset.clone());
+            const end = event.hitPoint ?
+                event.hitPoint.clone() :
+                event.origin.clone().addScaledVector(event.direction, weapon.range);
+            
+            this.spawnTracer(start, end);
+        }
+    }
+    
+    onWeaponHit(hitInfo) {
+        const effect = this.getSurfaceEffect(hitInfo.object);
+        const normal = this.getImpactNormal(hitInfo);
+        
+        if (effect.decal && !hitInfo.entity) {
+            this.spawnDecal(hitInfo.point, normal, effect);
+        }
+        
+        this.spawnParticles(hitInfo.point, normal, effect);
+    }
+    
+    /**
+     * Find the impact effect for an object, checking its parents for a surface tag
+     * @param {Object3D} object - Object that was hit
+     * @returns {Object} - Entry from SurfaceEffects
+     */
+    getSurfaceEffect(object) {
+        let node = object;
+        
+        while (node) {
+            const surface = node.userData.surface;
+            if (surface && SurfaceEffects[surface]) {
+                return SurfaceEffects[surface];
+            }
+            node = node.parent;
+        }
+        
+        return SurfaceEffects.default;
+    }
+    
+    getImpactNormal(hitInfo) {
+        // The terrain mesh is faceted - use the true sphere normal so decals sit flush
+        const planetBody = this.engine.physics.planetBody;
+        if (planetBody && this.getSurfaceEffect(hitInfo.object) === SurfaceEffects.terrain) {
+            return new Vector3().subVectors(hitInfo.point, planetBody.center).normalize();
+        }
+        
+        return hitInfo.normal.clone().normalize();
+    }
+    
+    spawnTracer(start, end) {
+        const tracer = this.tracers[this.nextTracer];
+        this.nextTracer = (this.nextTracer + 1) % this.tracers.length;
+        
+        const positions = tracer.line.geometry.attributes.position;
+        positions.setXYZ(0, start.x, start.y, start.z);
+        positions.setXYZ(1, end.x, end.y, end.z);
+        positions.needsUpdate = true;
+        
+        tracer.life = this.tracerDuration;
+        tracer.line.material.opacity = 1;
+        tracer.line.visible = true;
+    }
+    
+    spawnDecal(point, normal, effect) {
+        let decal = this.decals[this.nextDecal];
+        if (!decal) {
+            decal = new Mesh(this.decalGeometry, this.getDecalMaterial(effect.decalColor));
+            this.decals.push(decal);
+            this.root.add(decal);
+        }
+        this.nextDecal = (this.nextDecal + 1) % this.maxDecals;
+        
+        decal.material = this.getDecalMaterial(effect.decalColor);
+        decal.scale.setScalar(effect.decalSize * (0.8 + Math.random() * 0.4));
+        decal.position.copy(point).addScaledVector(normal, this.decalOffset);
+        
+        // Face along the surface normal with a random spin around it
+        const spin = new Quaternion().setFromAxisAngle(new Vector3(0, 0, 1), Math.random() * Math.PI * 2);
+        decal.quaternion.setFromUnitVectors(new Vector3(0, 0, 1), normal).multiply(spin);
+    }
+    
+    getDecalMaterial(color) {
+        if (!this.decalMaterials.has(color)) {
+            this.decalMaterials.set(color, new MeshBasicMaterial({
+                map: this.createRadialTexture(color, 'rgba(0, 0, 0, 0)'),
+                transparent: true,
+                depthWrite: false,
+                polygonOffset: true,
+                polygonOffsetFactor: -4
+            }));
+        }
+        
+        return this.decalMaterials.get(color);
+    }
+    
+    spawnParticles(point, normal, effect) {
+        const color = new Color(effect.particleColor);
+        
+        for (let i = 0; i < effect.particleCount; i++) {
+            if (this.particles.length >= this.maxParticles) {
+                this.particles.shift();
+            }
+            
+            // Spray out of the surface in a rough cone
+            const velocity = new Vector3(
+                Math.random() - 0.5,
+                Math.random() - 0.5,
+                Math.random() - 0.5
+            ).multiplyScalar(1.2).add(normal).normalize()
+                .multiplyScalar(effect.particleSpeed * (0.5 + Math.random() * 0.5));
+            
+            this.particles.push({
+                position: point.clone().addScaledVector(normal, 0.02),
+                velocity: velocity,
+                color: color,
+                life: this.particleLifetime * (0.6 + Math.random() * 0.4)
+            });
+        }
+    }
+    
+    update(deltaTime) {
+        this.updateMuzzleFlash(deltaTime);
+        this.updateTracers(deltaTime);
+        this.updateParticles(deltaTime);
+    }
+    
+    updateMuzzleFlash(deltaTime) {
+        if (this.flashTimer <= 0) return;
+        
+        this.flashTimer -= deltaTime;
+        if (this.flashTimer <= 0) {
+            this.flashSprite.visible = false;
+            this.flashLight.intensity = 0;
+        }
+    }
+    
+    updateTracers(deltaTime) {
+        for (const tracer of this.tracers) {
+            if (tracer.life <= 0) continue;
+            
+            tracer.life -= deltaTime;
+            tracer.line.material.opacity = Math.max(0, tracer.life / this.tracerDuration);
+            
+            if (tracer.life <= 0) {
+                tracer.line.visible = false;
+            }
+        }
+    }
+    
+    updateParticles(deltaTime) {
+        if (!this.particlePoints) return;
+        
+        const planetBody = this.engine.physics.planetBody;
+        const gravity = new Vector3();
+        
+        // Drop dead particles and move the rest
+        this.particles = this.particles.filter(particle => {
+            particle.life -= deltaTime;
+            if (particle.life <= 0) return false;
+            
+            // Fall toward the planet centre
+            if (planetBody) {
+                gravity.subVectors(planetBody.center, particle.position).normalize();
+            } else {
+                gravity.set(0, -1, 0);
+            }
+            particle.velocity.addScaledVector(gravity, this.particleGravity * deltaTime);
+            particle.position.addScaledVector(particle.velocity, deltaTime);
+            
+            return true;
+        });
+        
+        // Write live particles to the front of the buffers
+        const geometry = this.particlePoints.geometry;
+        const positions = geometry.attributes.position;
+        const colors = geometry.attributes.color;
+        
+        this.particles.forEach((particle, index) => {
+            positions.setXYZ(index, particle.position.x, particle.position.y, particle.position.z);
+            colors.setXYZ(index, particle.color.r, particle.color.g, particle.color.b);
+        });
+        
+        positions.needsUpdate = true;
+        colors.needsUpdate = true;
+        geometry.setDrawRange(0, this.particles.length);
+    }
+    
+    /**
+     * Remove all decals, tracers and particles (e.g. when the map changes)
+     */
+    clear() {
+        for (const decal of this.decals) {
+            this.root.remove(decal);
+        }
+        this.decals = [];
+        this.nextDecal = 0;
+        
+        for (const tracer of this.tracers) {
+            tracer.life = 0;
+            tracer.line.visible = false;
+        }
+        
+        this.particles = [];
+        if (this.particlePoints) {
+            this.particlePoints.geometry.setDrawRange(0, 0);
+        }
+    }
+    
+    createRadialTexture(innerColor, outerColor) {
+        const size = 64;
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        
+        const context = canvas.getContext('2d');
+        const gradient = context.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+        gradient.addColorStop(0, innerColor);
+        gradient.addColorStop(0.4, innerColor);
+        gradient.addColorStop(1, outerColor);
+        
+        context.fillStyle = gradient;
+        context.fillRect(0, 0, size, size);
+        
+        return new CanvasTexture(canvas);
+    }
+}
\ No newline at end of file
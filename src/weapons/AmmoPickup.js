@@ -0,0 +1,78 @@
+// src/weapons/AmmoPickup.js
+import { Vector3, BoxGeometry, MeshStandardMaterial, Mesh } from 'three';
+import { PhysicsBody } from '../physics/PhysicsBody.js';
+
+export class AmmoPickup {
+    constructor(options = {}) {
+        this.type = 'ammoPickup';
+        this.position = options.position || new Vector3();
+        this.ammoType = options.ammoType;
+        this.amount = options.amount || 0; // 0 = the ammo type's pickupAmount
+        this.interactable = true;
+        this.interactionDistance = 2.5; // How close player needs to be
+        
+        // Create visual representation
+        const geometry = new BoxGeometry(0.4, 0.25, 0.25);
+        const material = new MeshStandardMaterial({ color: 0x4b5320, roughness: 0.8 });
+        this.object = new Mesh(geometry, material);
+        this.object.position.copy(this.position);
+        this.object.castShadow = true;
+        
+        // Create physics body
+        this.physicsBody = new PhysicsBody({
+            position: this.position,
+            mass: 2,
+            halfExtents: new Vector3(0.2, 0.125, 0.125),
+            restitution: 0.2,
+            friction: 0.8
+        });
+    }
+    
+    init(engine) {
+        this.engine = engine;
+        
+        // Fill in the default amount for this calibre
+        if (!this.amount) {
+            const definition = this.engine.weaponRegistry.getAmmoType(this.ammoType);
+            this.amount = definition ? definition.pickupAmount || 30 : 30;
+        }
+        
+        // Add physics body to world
+        this.engine.physics.addBody(this.physicsBody);
+    }
+    
+    update(deltaTime) {
+        // Update visual position from physics
+        this.object.position.copy(this.physicsBody.position);
+        
+        // Add some rotation to make it more visible
+        this.object.rotation.y += deltaTime * 1.0;
+    }
+    
+    getInteractionText() {
+        const definition = this.engine.weaponRegistry.getAmmoType(this.ammoType);
+        const name = definition ? definition.name : this.ammoType;
+        
+        return `pick up ${this.amount} ${name}`;
+    }
+    
+    interact(player) {
+        // Give as much as the player can carry
+        const added = player.weaponManager.addAmmo(this.ammoType, this.amount);
+        this.amount -= added;
+        
+        // Remove pickup from world once it's empty
+        if (this.amount <= 0) {
+            this.engine.entityManager.removeEntity(this);
+        }
+    }
+    
+    destroy() {
+        // Remove physics body
+        if (this.physicsBody) {
+            this.engine.physics.removeBody(this.physicsBody);
+        }
+        
+        // Object removal is handled by entity manager
+    }
+}
\ No newline at end of file
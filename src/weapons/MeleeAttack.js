@@ -0,0 +1,163 @@
+// src/weapons/MeleeAttack.js
+import { Vector3 } from 'three';
+
+/**
+ * Quick melee (knife/bash) usable with any weapon in hand
+ */
+export class MeleeAttack {
+    constructor(weaponManager, options = {}) {
+        this.weaponManager = weaponManager;
+        this.player = weaponManager.player;
+        this.engine = weaponManager.engine;
+        
+        // Damage and reach
+        this.damage = options.damage || 35;
+        this.range = options.range || 1.6; // Reach along the ground from the player's centre
+        this.angle = options.angle || Math.PI / 2; // Full width of the sweep in radians
+        this.maxHeightDifference = options.maxHeightDifference || 1.5;
+        
+        // Effect on targets
+        this.knockback = options.knockback !== undefined ? options.knockback : 5.0; // Velocity change in m/s
+        this.staggerTime = options.staggerTime !== undefined ? options.staggerTime : 0.6;
+        
+        // Timing in seconds
+        this.cooldown = options.cooldown || 0.8;
+        this.swingTime = options.swingTime || 0.35;
+        this.hitTime = options.hitTime || 0.12; // When in the swing the sweep test happens
+        this.cooldownTimer = 0;
+        this.swingTimer = 0;
+        this.isSwinging = false;
+        this.hasHit = false;
+    }
+    
+    /**
+     * Start a swing if off cooldown
+     * @returns {boolean} - True if the swing started
+     */
+    tryAttack() {
+        if (this.isSwinging || this.cooldownTimer > 0) return false;
+        if (this.player.isDead || this.weaponManager.switchState) return false;
+        
+        this.isSwinging = true;
+        this.hasHit = false;
+        this.swingTimer = 0;
+        this.cooldownTimer = this.cooldown;
+        
+        // Swinging interrupts the gun
+        const weapon = this.weaponManager.currentWeapon;
+        if (weapon) {
+            weapon.stopFire();
+            weapon.stopAim();
+        }
+        
+        this.engine.events.emit('melee:swing', { attacker: this.player, weapon: weapon });
+        
+        return true;
+    }
+    
+    update(deltaTime) {
+        if (this.cooldownTimer > 0) {
+            this.cooldownTimer -= deltaTime;
+        }
+        
+        if (!this.isSwinging) return;
+        
+        this.swingTimer += deltaTime;
+        
+        // Land the hit partway through the swing
+        if (!this.hasHit && this.swingTimer >= this.hitTime) {
+            this.hasHit = true;
+            this.sweep();
+        }
+        
+        if (this.swingTimer >= this.swingTime) {
+            this.isSwinging = false;
+        }
+    }
+    
+    /**
+     * Hit every damageable entity in a cone in front of the player
+     * @returns {Array} - Hit info for each entity hit
+     */
+    sweep() {
+        const up = this.player.surfaceNormal;
+        const origin = this.player.position;
+        
+        // Aim direction flattened onto the ground
+        const forward = new Vector3(0, 0, -1).applyQuaternion(this.engine.camera.camera.quaternion);
+        forward.addScaledVector(up, -forward.dot(up)).normalize();
+        
+        const hits = [];
+        const candidates = this.engine.entityManager.getEntitiesInRadius(
+            origin,
+            this.range + this.maxHeightDifference + 1.0
+        );
+        
+        for (const entity of candidates) {
+            if (entity === this.player || typeof entity.takeDamage !== 'function') continue;
+            if (entity.isAlive === false) continue;
+            
+            // Split the offset into height and distance along the ground
+            const offset = new Vector3().subVectors(entity.position, origin);
+            const height = offset.dot(up);
+            if (Math.abs(height) > this.maxHeightDifference) continue;
+            
+            const horizontal = offset.addScaledVector(up, -height);
+            const distance = horizontal.length();
+            const radius = entity.physicsBody ? entity.physicsBody.radius || 0.5 : 0.5;
+            if (distance - radius > this.range) continue;
+            
+            // Targets we're pressed up against are always hit
+            const direction = distance > 0.001 ? horizontal.divideScalar(distance) : forward.clone();
+            if (distance > radius && direction.angleTo(forward) > this.angle / 2) continue;
+            
+            hits.push(this.hitEntity(entity, direction, distance));
+        }
+        
+        return hits;
+    }
+    
+    hitEntity(entity, direction, distance) {
+        const hitInfo = {
+            type: 'melee',
+            weapon: this.weaponManager.currentWeapon,
+            attacker: this.player,
+            entity: entity,
+            object: entity.object || null,
+            point: entity.position.clone(),
+            normal: direction.clone().negate(),
+            direction: direction.clone(),
+            distance: distance,
+            zone: null,
+            multiplier: 1.0,
+            isHeadshot: false,
+            damage: this.damage,
+            killed: false
+        };
+        
+        const wasAlive = entity.isAlive !== false;
+        entity.takeDamage(this.damage, hitInfo);
+        hitInfo.killed = wasAlive && entity.isAlive === false;
+        
+        // Survivors are knocked back and briefly stunned
+        if (!hitInfo.killed && typeof entity.stagger === 'function') {
+            entity.stagger(this.staggerTime, direction.clone().multiplyScalar(this.knockback));
+        }
+        
+        this.engine.events.emit('melee:hit', hitInfo);
+        
+        return hitInfo;
+    }
+    
+    /**
+     * How far out the weapon is in the swing (see ViewModelAnimator)
+     * @returns {number} - 0 at rest, 1 at the peak of the swing
+     */
+    getSwingAmount() {
+        if (!this.isSwinging) return 0;
+        
+        // Out and back along a half sine
+        const progress = Math.min(this.swingTimer / this.swingTime, 1);
+        return Math.sin(progress * Math.PI);
+    }
+}
\ No newline at end of file
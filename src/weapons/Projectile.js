@@ -0,0 +1,185 @@
+// src/weapons/Projectile.js
+import { Vector3, SphereGeometry, MeshStandardMaterial, Mesh } from 'three';
+import { PhysicsBody } from '../physics/PhysicsBody.js';
+
+export class Projectile {
+    constructor(options = {}) {
+        this.type = 'projectile';
+        this.position = options.position ? options.position.clone() : new Vector3();
+        this.weapon = options.weapon || null;
+        this.owner = options.owner || null;
+        this.enabled = true;
+        
+        // Projectile settings from the weapon definition
+        this.radius = options.radius || 0.08;
+        this.damage = options.damage || 0; // Direct hit damage
+        this.fuseTime = options.fuseTime || 0; // Seconds until it goes off by itself (0 = never)
+        this.explodeOnImpact = options.explodeOnImpact !== undefined ? options.explodeOnImpact : true;
+        this.bounciness = options.bounciness !== undefined ? options.bounciness : 0.4;
+        this.maxLifetime = options.maxLifetime || 10;
+        this.settings = options; // Kept for impact handlers (explosion radius etc.)
+        
+        // Called with (projectile, impact) when the round hits something or its fuse runs out
+        this.onImpact = options.onImpact || null;
+        
+        this.age = 0;
+        this.hasImpacted = false;
+        this.lastPosition = this.position.clone();
+        
+        // Visual representation
+        const geometry = new SphereGeometry(this.radius, 8, 6);
+        const material = new MeshStandardMaterial({
+            color: options.color || 0x3a3f2a,
+            roughness: 0.6,
+            metalness: 0.4
+        });
+        this.object = new Mesh(geometry, material);
+        this.object.position.copy(this.position);
+        this.object.castShadow = true;
+        
+        // Sensor body - falls under planet gravity but resolves its own collisions
+        this.physicsBody = new PhysicsBody({
+            position: this.position,
+            velocity: options.velocity || new Vector3(),
+            mass: options.mass || 0.5,
+            radius: this.radius,
+            restitution: this.bounciness,
+            friction: 0.5,
+            isSensor: true,
+            entity: this
+        });
+        
+        // Fast rounds would otherwise be clamped by the fall speed limit
+        this.physicsBody.maxFallSpeed = Infinity;
+    }
+    
+    init(engine) {
+        this.engine = engine;
+        
+        // Add physics body to world
+        this.engine.physics.addBody(this.physicsBody);
+    }
+    
+    update(deltaTime) {
+        if (this.hasImpacted) return;
+        
+        this.age += deltaTime;
+        
+        // Sync from physics
+        this.lastPosition.copy(this.position);
+        this.position.copy(this.physicsBody.position);
+        this.object.position.copy(this.position);
+        
+        // Sweep along the path travelled this frame so fast rounds can't tunnel
+        const impact = this.checkImpact();
+        if (impact) {
+            if (this.explodeOnImpact || impact.entity) {
+                this.impact(impact);
+                return;
+            }
+            
+            this.bounce(impact);
+        }
+        
+        // Timed detonation
+        if (this.fuseTime > 0 && this.age >= this.fuseTime) {
+            this.impact({
+                point: this.position.clone(),
+                normal: this.getSurfaceNormal(),
+                body: null,
+                entity: null
+            });
+            return;
+        }
+        
+        // Remove lost rounds
+        if (this.age >= this.maxLifetime) {
+            this.engine.entityManager.removeEntity(this);
+        }
+    }
+    
+    checkImpact() {
+        const travel = new Vector3().subVectors(this.position, this.lastPosition);
+        const distance = travel.length();
+        
+        const ignore = [this.physicsBody];
+        if (this.owner && this.owner.physicsBody) {
+            ignore.push(this.owner.physicsBody);
+        }
+        
+        if (distance > 0) {
+            const hit = this.engine.physics.raycast(
+                this.lastPosition,
+                travel.divideScalar(distance),
+                distance,
+                { radius: this.radius, ignore: ignore }
+            );
+            
+            if (hit.hit) {
+                return {
+                    point: hit.point.clone(),
+                    normal: hit.normal.clone(),
+                    body: hit.body,
+                    entity: hit.body.entity || null
+                };
+            }
+        }
+        
+        // Planet surface handling keeps bodies hovering just above the ground
+        if (this.physicsBody.onGround) {
+            return {
+                point: this.position.clone(),
+                normal: this.getSurfaceNormal(),
+                body: this.engine.physics.planetBody,
+                entity: null
+            };
+        }
+        
+        return null;
+    }
+    
+    bounce(impact) {
+        const velocity = this.physicsBody.velocity;
+        const normalSpeed = velocity.dot(impact.normal);
+        
+        // Only reflect when moving into the surface
+        if (normalSpeed < 0) {
+            velocity.addScaledVector(impact.normal, -(1 + this.bounciness) * normalSpeed);
+            velocity.multiplyScalar(0.8);
+        }
+    }
+    
+    impact(impact) {
+        if (this.hasImpacted) return;
+        this.hasImpacted = true;
+        
+        if (this.onImpact) {
+            this.onImpact(this, impact);
+        }
+        
+        this.engine.events.emit('projectile:impact', {
+            projectile: this,
+            weapon: this.weapon,
+            ...impact
+        });
+        
+        // Remove from world
+        this.engine.entityManager.removeEntity(this);
+    }
+    
+    getSurfaceNormal() {
+        const planetBody = this.engine.physics.planetBody;
+        if (!planetBody) return new Vector3(0, 1, 0);
+        
+        return new Vector3().subVectors(this.position, planetBody.center).normalize();
+    }
+    
+    destroy() {
+        // Remove physics body
+        if (this.physicsBody) {
+            this.engine.physics.removeBody(this.physicsBody);
+        }
+        
+        // Object removal is handled by entity manager
+    }
+}
\ No newline at end of file
@@ -0,0 +1,186 @@
+// src/weapons/ViewModelAnimator.js
+import { Vector3 } from 'three';
+
+/**
+ * Procedural first-person weapon motion
+ * Builds the weapon holder's transform every frame from the weapon's rest pose
+ * plus sway, bob, recoil kick, reload, switching and melee offsets.
+ */
+export class ViewModelAnimator {
+    constructor(weaponManager) {
+        this.weaponManager = weaponManager;
+        this.player = weaponManager.player;
+        this.engine = weaponManager.engine;
+        
+        // Mouse sway - the weapon lags behind view rotation
+        this.swayAmount = 0.0004; // Offset per pixel of mouse movement
+        this.swayRotationAmount = 0.002; // Radians per pixel
+        this.maxSway = 0.06;
+        this.swaySmoothing = 8.0;
+        this.swayOffset = new Vector3();
+        this.swayRotation = new Vector3();
+        this.mouseDelta = { x: 0, y: 0 };
+        
+        // Bob - follows the camera's head bob phase
+        this.bobAmount = new Vector3(0.012, 0.01, 0);
+        this.bobWeight = 0; // Fades bob in and out as the player starts and stops
+        this.aimBobMultiplier = 0.2;
+        
+        // Recoil kick - decays back to rest after each shot
+        this.kick = 0;
+        this.maxKick = 1.5;
+        this.kickRecovery = 12.0;
+        this.defaultKick = { back: 0.05, up: 0.01, rotation: 0.06 };
+        
+        // Reload - lower and tilt the weapon for the reload
+        this.reloadOffset = new Vector3(0, -0.15, 0.05);
+        this.reloadRotation = new Vector3(-0.5, 0, 0.4);
+        this.reloadBlendTime = 0.2; // Fraction of a magazine reload spent lowering and raising
+        this.reloadWeight = 0;
+        
+        // Switching - drop the weapon out of view while holstering
+        this.holsterOffset = new Vector3(0, -0.4, 0.1);
+        this.holsterRotation = new Vector3(-0.8, 0, 0);
+        
+        // Melee - offsets at the peak of the swing
+        this.meleeOffset = new Vector3(-0.15, 0.05, -0.25);
+        this.meleeRotation = new Vector3(-0.5, 0.6, 0.3);
+        
+        this.setupListeners();
+    }
+    
+    setupListeners() {
+        this.engine.input.onMouseMove((dx, dy) => {
+            this.mouseDelta.x += dx;
+            this.mouseDelta.y += dy;
+        });
+        
+        this.engine.events.on('weapon:fired', (event) => {
+            if (event.weapon === this.weaponManager.currentWeapon) {
+                this.kick = Math.min(this.kick + 1, this.maxKick);
+            }
+        });
+    }
+    
+    update(deltaTime) {
+        const weapon = this.weaponManager.currentWeapon;
+        
+        this.updateSway(deltaTime);
+        this.updateBob(deltaTime);
+        this.kick *= Math.max(0, 1 - this.kickRecovery * deltaTime);
+        
+        if (!weapon) return;
+        
+        const position = new Vector3().lerpVectors(weapon.position, weapon.adsPosition, weapon.aimProgress);
+        const rotation = weapon.rotation.clone();
+        
+        // Sway and bob are mostly suppressed while aiming
+        const hipWeight = 1 - weapon.aimProgress * 0.8;
+        position.addScaledVector(this.swayOffset, hipWeight);
+        rotation.addScaledVector(this.swayRotation, hipWeight);
+        position.add(this.getBobOffset(weapon));
+        
+        // Recoil kick pushes the weapon back and tips the muzzle up
+        const kick = weapon.viewKick || this.defaultKick;
+        position.z += kick.back * this.kick;
+        position.y += kick.up * this.kick;
+        rotation.x += kick.rotation * this.kick;
+        
+        // Reload dip
+        this.reloadWeight = this.getReloadWeight(weapon, deltaTime);
+        position.addScaledVector(this.reloadOffset, this.reloadWeight);
+        rotation.addScaledVector(this.reloadRotation, this.reloadWeight);
+        
+        // Equip and holster
+        const lowered = this.getLoweredAmount();
+        position.addScaledVector(this.holsterOffset, lowered);
+        rotation.addScaledVector(this.holsterRotation, lowered);
+        
+        // Melee swing
+        const swing = this.weaponManager.melee.getSwingAmount();
+        position.addScaledVector(this.meleeOffset, swing);
+        rotation.addScaledVector(this.meleeRotation, swing);
+        
+        weapon.weaponHolder.position.copy(position);
+        weapon.weaponHolder.rotation.set(rotation.x, rotation.y, rotation.z);
+    }
+    
+    updateSway(deltaTime) {
+        // Mouse movement this frame sets where the weapon wants to lag to
+        const targetX = Math.max(-this.maxSway, Math.min(this.maxSway, -this.mouseDelta.x * this.swayAmount));
+        const targetY = Math.max(-this.maxSway, Math.min(this.maxSway, this.mouseDelta.y * this.swayAmount));
+        this.mouseDelta.x = 0;
+        this.mouseDelta.y = 0;
+        
+        const t = Math.min(deltaTime * this.swaySmoothing, 1.0);
+        this.swayOffset.x += (targetX - this.swayOffset.x) * t;
+        this.swayOffset.y += (targetY - this.swayOffset.y) * t;
+        
+        // Yaw toward the lag and roll into turns
+        const rotationScale = this.swayRotationAmount / this.swayAmount;
+        this.swayRotation.set(
+            -this.swayOffset.y * rotationScale,
+            this.swayOffset.x * rotationScale,
+            this.swayOffset.x * rotationScale * 0.5
+        );
+    }
+    
+    updateBob(deltaTime) {
+        // Same conditions as the camera's head bob
+        const playerCamera = this.engine.camera;
+        const isBobbing = playerCamera && playerCamera.enableHeadBob &&
+            this.player.onGround && this.player.velocity.length() > 2.0;
+        
+        const target = isBobbing ? 1 : 0;
+        this.bobWeight += (target - this.bobWeight) * Math.min(deltaTime * 6.0, 1.0);
+    }
+    
+    getBobOffset(weapon) {
+        const playerCamera = this.engine.camera;
+        if (!playerCamera || this.bobWeight < 0.001) return new Vector3();
+        
+        // Match the camera bob phase so the weapon settles in the same step
+        const phase = playerCamera.bobTimer;
+        const weight = this.bobWeight * (1 + (this.aimBobMultiplier - 1) * weapon.aimProgress);
+        
+        return new Vector3(
+            Math.cos(phase + Math.PI) * this.bobAmount.x * weight,
+            -Math.abs(Math.sin(phase)) * this.bobAmount.y * weight,
+            0
+        );
+    }
+    
+    getReloadWeight(weapon, deltaTime) {
+        if (weapon.reloadType === 'magazine') {
+            if (!weapon.isReloading) return 0;
+            
+            // Lower at the start, raise at the end - spans the whole reloadTime
+            const t = weapon.getReloadProgress();
+            const blend = this.reloadBlendTime;
+            const weight = t < blend ? t / blend : t > 1 - blend ? (1 - t) / blend : 1;
+            
+            return this.smoothStep(Math.max(0, Math.min(1, weight)));
+        }
+        
+        // Round-by-round reloads hold the dip until loading stops
+        const target = weapon.isReloading ? 1 : 0;
+        const step = deltaTime / (weapon.reloadTime * this.reloadBlendTime);
+        const weight = target > this.reloadWeight ?
+            Math.min(target, this.reloadWeight + step) :
+            Math.max(target, this.reloadWeight - step);
+        
+        return weight;
+    }
+    
+    getLoweredAmount() {
+        const switchState = this.weaponManager.switchState;
+        if (!switchState) return 0;
+        
+        const progress = this.smoothStep(this.weaponManager.getSwitchProgress());
+        return switchState === 'holstering' ? progress : 1 - progress;
+    }
+    
+    smoothStep(t) {
+        return t * t * (3 - 2 * t);
+    }
+}
\ No newline at end of file
@@ -1,10 +1,14 @@
 // src/weapons/Weapon.js
 import { Vector3, Quaternion, Object3D, Raycaster } from 'three';
 import { RaycastResult } from '../physics/RaycastResult.js';
+import { Projectile } from './Projectile.js';
 
 export class Weapon {
     constructor(options = {}) {
         this.name = options.name || 'Weapon';
+        this.type = options.type || null; // Definition id in the weapon registry
+        this.modelId = options.model || null;
+        this.slot = options.slot || 'primary'; // Inventory slot: primary, secondary, melee or throwable
         this.model = null;
         this.worldModel = null;
         this.owner = null;
@@ -17,20 +21,72 @@ export class Weapon {
         // Create holder for weapon model
         this.weaponHolder = new Object3D();
         
+        // Barrel tip in weapon holder space, for muzzle flashes and tracers
+        this.muzzleOffset = options.muzzleOffset || new Vector3(0, 0.05, -0.6);
+        
         // Shooting properties
         this.damage = options.damage || 10;
+        this.range = options.range || 200; // Max hit distance in world units
         this.fireRate = options.fireRate || 10; // Shots per second
         this.fireInterval = 1 / this.fireRate;
         this.lastFireTime = 0;
         this.isFiring = false;
         
+        // Fire mode: 'semi' (one shot per trigger pull), 'burst' or 'auto'
+        this.fireMode = options.fireMode || 'auto';
+        this.burstCount = options.burstCount || 3;
+        this.pendingShots = 0; // Shots left in the current semi/burst trigger pull
+        
+        // 'hitscan' rounds hit instantly, 'projectile' rounds are simulated
+        this.fireType = options.fireType || 'hitscan';
+        this.projectile = options.projectile || null; // Projectile settings
+        
+        // Damage falloff - full damage up to start, scaled down to minMultiplier at end
+        this.falloff = options.falloff || null;
+        
+        // Spread cone in radians: { base, max, perShot, recovery, moving, airborne }
+        // perShot is added for every shot and recovers at `recovery` per second once firing stops
+        this.spread = options.spread || null;
+        this.bloom = 0; // Spread added by sustained fire
+        
+        // Recoil: pattern of [pitch, yaw] kicks in radians, restarting after `recovery` seconds without firing
+        this.recoil = options.recoil || null;
+        this.recoilIndex = 0;
+        
+        // How far shots carry for zombies: { radius, intensity } (see NoiseSystem)
+        this.noise = options.noise || null;
+        
+        // First-person kick per shot: { back, up, rotation } (see ViewModelAnimator)
+        this.viewKick = options.viewKick || null;
+        
+        // Aim down sights
+        const ads = options.ads || {};
+        this.adsPosition = options.adsPosition || new Vector3(0, this.position.y * 0.6, this.position.z);
+        this.adsFovMultiplier = ads.fovMultiplier || 0.75;
+        this.adsSpreadMultiplier = ads.spreadMultiplier !== undefined ? ads.spreadMultiplier : 0.35;
+        this.adsRecoilMultiplier = ads.recoilMultiplier !== undefined ? ads.recoilMultiplier : 0.6;
+        this.adsTime = ads.time || 0.2; // Seconds to raise the sights
+        this.isAiming = false;
+        this.aimProgress = 0; // 0 = hip, 1 = fully aimed
+        
         // Ammo
+        this.ammoType = options.ammoType || null; // Calibre shared with other weapons
         this.currentAmmo = options.ammoCapacity || 30;
         this.maxAmmo = options.ammoCapacity || 30;
-        this.reserveAmmo = options.reserveAmmo || 90;
+        this.reserveAmmo = options.reserveAmmo || 90; // Spare rounds carried with the weapon itself
+        this.ammoPool = null; // Owner's shared reserves (WeaponManager) while in an inventory
         this.isReloading = false;
-        this.reloadTime = options.reloadTime || 2.0; // seconds
         this.reloadStartTime = 0;
+        
+        // Reload behaviour: 'magazine' swaps the whole magazine in reloadTime,
+        // 'single' loads one round every reloadTime and can be interrupted by firing
+        const reload = options.reload || {};
+        this.reloadType = reload.type || 'magazine';
+        this.reloadTime = reload.time || options.reloadTime || 2.0; // seconds
+        
+        // Switching times in seconds
+        this.equipTime = options.equipTime !== undefined ? options.equipTime : 0.5;
+        this.holsterTime = options.holsterTime !== undefined ? options.holsterTime : 0.3;
     }
     
     init(engine) {
@@ -79,6 +135,13 @@ export class Weapon {
     
     unequip() {
         this.isEquipped = false;
+        this.isAiming = false;
+        this.aimProgress = 0;
+        
+        // Holstering cancels anything in progress
+        this.isFiring = false;
+        this.pendingShots = 0;
+        this.isReloading = false;
         
         // Remove from camera
         if (this.engine.camera && this.weaponHolder) {
@@ -90,27 +153,158 @@ export class Weapon {
     
     startFire() {
         this.isFiring = true;
+        
+        // Semi and burst weapons queue their shots once per trigger pull
+        if (this.fireMode === 'semi') {
+            this.pendingShots = 1;
+        } else if (this.fireMode === 'burst' && this.pendingShots === 0) {
+            this.pendingShots = this.burstCount;
+        }
     }
     
     stopFire() {
         this.isFiring = false;
     }
     
+    startAim() {
+        this.isAiming = true;
+    }
+    
+    stopAim() {
+        this.isAiming = false;
+    }
+    
     update(deltaTime) {
         if (!this.isEquipped) return;
         
+        this.updateAim(deltaTime);
+        this.updateAccuracy(deltaTime);
+        
         // Handle automatic firing
-        if (this.isFiring) {
+        if (this.fireMode === 'auto' && this.isFiring) {
             this.tryFire();
         }
         
+        // Fire queued semi/burst shots as the fire rate allows
+        if (this.pendingShots > 0) {
+            if (this.tryFire()) {
+                this.pendingShots--;
+            } else if (this.isReloading || this.currentAmmo <= 0) {
+                // Out of ammo - drop the rest of the burst
+                this.pendingShots = 0;
+            }
+        }
+        
         // Handle reloading
         if (this.isReloading) {
             const currentTime = performance.now() / 1000;
             if (currentTime - this.reloadStartTime >= this.reloadTime) {
-                this.completeReload();
+                if (this.reloadType === 'single') {
+                    this.loadSingleRound();
+                } else {
+                    this.completeReload();
+                }
+            }
+        }
+    }
+    
+    updateAim(deltaTime) {
+        // Sights come down while reloading
+        const target = this.isAiming && !this.isReloading ? 1 : 0;
+        const step = deltaTime / this.adsTime;
+        
+        if (this.aimProgress < target) {
+            this.aimProgress = Math.min(target, this.aimProgress + step);
+        } else if (this.aimProgress > target) {
+            this.aimProgress = Math.max(target, this.aimProgress - step);
+        }
+    }
+    
+    updateAccuracy(deltaTime) {
+        const currentTime = performance.now() / 1000;
+        const timeSinceShot = currentTime - this.lastFireTime;
+        
+        // Bloom recovers once the weapon stops firing
+        if (this.spread && this.bloom > 0 && timeSinceShot > this.fireInterval * 1.5) {
+            this.bloom = Math.max(0, this.bloom - (this.spread.recovery || 0) * deltaTime);
+        }
+        
+        // Recoil pattern starts over after a pause
+        if (this.recoil && timeSinceShot > (this.recoil.recovery || 0.5)) {
+            this.recoilIndex = 0;
+        }
+    }
+    
+    /**
+     * Get the current spread cone half-angle
+     * @returns {number} - Spread in radians
+     */
+    getSpread() {
+        if (!this.spread) return 0;
+        
+        let spread = (this.spread.base || 0) + this.bloom;
+        
+        if (this.owner) {
+            // Moving opens the cone up to the full `moving` amount at walking speed
+            if (this.spread.moving && this.owner.movement) {
+                const velocity = this.owner.velocity.clone();
+                const normal = this.owner.surfaceNormal;
+                velocity.addScaledVector(normal, -velocity.dot(normal));
+                
+                const speedFactor = Math.min(velocity.length() / this.owner.movement.walkSpeed, 1.0);
+                spread += this.spread.moving * speedFactor;
+            }
+            
+            if (this.spread.airborne && !this.owner.onGround) {
+                spread += this.spread.airborne;
             }
         }
+        
+        if (this.spread.max !== undefined) {
+            spread = Math.min(spread, this.spread.max);
+        }
+        
+        // Aiming tightens the cone
+        return spread * (1 + (this.adsSpreadMultiplier - 1) * this.aimProgress);
+    }
+    
+    /**
+     * Pick a random direction inside the spread cone
+     * @param {Quaternion} viewQuaternion - Camera orientation
+     * @returns {Vector3} - Normalized shot direction
+     */
+    getShotDirection(viewQuaternion) {
+        const direction = new Vector3(0, 0, -1).applyQuaternion(viewQuaternion);
+        const spread = this.getSpread();
+        if (spread <= 0) return direction;
+        
+        // Uniform point on a disc perpendicular to the view direction
+        const angle = Math.random() * Math.PI * 2;
+        const offset = Math.tan(spread) * Math.sqrt(Math.random());
+        const right = new Vector3(1, 0, 0).applyQuaternion(viewQuaternion);
+        const up = new Vector3(0, 1, 0).applyQuaternion(viewQuaternion);
+        
+        direction.addScaledVector(right, Math.cos(angle) * offset);
+        direction.addScaledVector(up, Math.sin(angle) * offset);
+        
+        return direction.normalize();
+    }
+    
+    applyRecoil() {
+        if (this.spread) {
+            this.bloom += this.spread.perShot || 0;
+        }
+        
+        if (!this.recoil || !this.recoil.pattern || this.recoil.pattern.length === 0) return;
+        if (!this.owner || typeof this.owner.addViewKick !== 'function') return;
+        
+        // Long bursts loop the pattern
+        const pattern = this.recoil.pattern;
+        const [pitch, yaw] = pattern[this.recoilIndex % pattern.length];
+        this.recoilIndex++;
+        
+        const scale = 1 + (this.adsRecoilMultiplier - 1) * this.aimProgress;
+        this.owner.addViewKick(pitch * scale, yaw * scale);
     }
     
     tryFire() {
@@ -121,6 +315,12 @@ export class Weapon {
             return false;
         }
         
+        // Round-by-round reloads can be interrupted as long as something is loaded
+        if (this.isReloading && this.reloadType === 'single' && this.currentAmmo > 0) {
+            this.isReloading = false;
+            this.updateAmmoUI();
+        }
+        
         // Check if we're reloading
         if (this.isReloading) {
             return false;
@@ -149,23 +349,150 @@ export class Weapon {
         // Create a raycast from camera center
         const camera = this.engine.camera.camera;
         const raycaster = new Raycaster();
-        const rayDirection = new Vector3(0, 0, -1).applyQuaternion(camera.quaternion);
+        const rayDirection = this.getShotDirection(camera.quaternion);
+        
+        // Kick after the direction is picked so this shot uses the current accuracy
+        this.applyRecoil();
+        
+        // Projectile weapons launch a simulated round instead
+        if (this.fireType === 'projectile') {
+            this.emitFired(camera.position, rayDirection, null);
+            this.fireProjectile(camera.position, rayDirection);
+            return;
+        }
         
         // Origin is camera position
         raycaster.set(camera.position, rayDirection);
+        raycaster.far = this.range;
         
-        // Perform raycast against scene objects
-        const intersects = raycaster.intersectObjects(this.engine.renderer.scene.children, true);
+        // Perform raycast against scene objects, skipping the camera so the
+        // first-person weapon model can't block its own shots, and effects
+        const targets = this.engine.renderer.scene.children.filter(
+            child => child !== camera && !child.userData.ignoreRaycast
+        );
+        const intersects = raycaster.intersectObjects(targets, true);
+        const hit = intersects.length > 0 ? intersects[0] : null;
+        
+        this.emitFired(camera.position, rayDirection, hit ? hit.point : null);
         
-        if (intersects.length > 0) {
-            const hit = intersects[0];
+        if (hit) {
+            this.handleHit(hit, raycaster.ray);
+        }
+    }
+    
+    // Let the viewmodel and effects react to a shot - hitPoint is null for misses and projectiles
+    emitFired(origin, direction, hitPoint) {
+        this.engine.events.emit('weapon:fired', {
+            weapon: this,
+            origin: origin.clone(),
+            direction: direction.clone(),
+            hitPoint: hitPoint ? hitPoint.clone() : null
+        });
+    }
             
-            // Handle hit effects here if needed
-            console.log(`Hit object at distance ${hit.distance}`);
+    handleHit(hit, ray) {
+        // Face normals are in object space - convert to world space
+        const normal = hit.face ?
+            hit.face.normal.clone().transformDirection(hit.object.matrixWorld) :
+            ray.direction.clone().negate();
             
-            // Check if we hit an entity with health
-            // This would be expanded in your game with proper damage handling
+        // Find the entity that owns the object we hit
+        const entity = this.engine.entityManager.getEntityByObject(hit.object);
+        const canDamage = entity && typeof entity.takeDamage === 'function';
+        
+        // Resolve which body part was hit for entities with hit zones
+        const zone = entity && entity.hitZones ? entity.hitZones.resolveHit(ray, hit.point) : null;
+        const multiplier = zone ? zone.multiplier : 1.0;
+        
+        const hitInfo = {
+            weapon: this,
+            attacker: this.owner,
+            entity: entity,
+            object: hit.object,
+            point: hit.point.clone(),
+            normal: normal,
+            direction: ray.direction.clone(),
+            distance: hit.distance,
+            zone: zone ? zone.name : null,
+            multiplier: multiplier,
+            isHeadshot: zone !== null && zone.name === 'head',
+            damage: canDamage ? this.damage * multiplier * this.getFalloffMultiplier(hit.distance) : 0,
+            killed: false
+        };
+        
+        // Apply damage to the entity
+        if (canDamage) {
+            const wasAlive = entity.isAlive !== false;
+            entity.takeDamage(hitInfo.damage, hitInfo);
+            hitInfo.killed = wasAlive && entity.isAlive === false;
+        }
+        
+        // Let other systems (HUD, effects, scoring) react to the hit
+        this.engine.events.emit('weapon:hit', hitInfo);
+    }
+    
+    fireProjectile(origin, direction) {
+        const settings = this.projectile || {};
+        
+        // Spawn slightly in front of the camera, clear of the player's body
+        const spawnPosition = origin.clone().addScaledVector(direction, settings.spawnOffset || 0.8);
+        
+        // Launch along the aim direction, carrying the shooter's momentum
+        const velocity = direction.clone().multiplyScalar(settings.speed || 30);
+        if (this.owner && this.owner.velocity) {
+            velocity.add(this.owner.velocity);
         }
+        
+        const projectile = new Projectile({
+            ...settings,
+            position: spawnPosition,
+            velocity: velocity,
+            weapon: this,
+            owner: this.owner,
+            damage: settings.damage !== undefined ? settings.damage : this.damage,
+            onImpact: (round, impact) => this.handleProjectileImpact(round, impact)
+        });
+        
+        this.engine.entityManager.addEntity(projectile);
+    }
+    
+    handleProjectileImpact(projectile, impact) {
+        // Direct hit damage
+        const entity = impact.entity;
+        if (entity && entity !== this.owner && typeof entity.takeDamage === 'function' && projectile.damage > 0) {
+            entity.takeDamage(projectile.damage, {
+                weapon: this,
+                attacker: this.owner,
+                entity: entity,
+                point: impact.point,
+                normal: impact.normal,
+                zone: null,
+                damage: projectile.damage
+            });
+        }
+        
+        // Area damage
+        const explosion = projectile.settings.explosion;
+        if (explosion) {
+            this.engine.explosions.explode({
+                ...explosion,
+                position: impact.point,
+                source: this,
+                attacker: this.owner
+            });
+        }
+    }
+    
+    // Damage multiplier for a hit at the given distance
+    getFalloffMultiplier(distance) {
+        if (!this.falloff) return 1.0;
+        
+        const { start, end, minMultiplier } = this.falloff;
+        if (distance <= start) return 1.0;
+        if (distance >= end) return minMultiplier;
+        
+        const t = (distance - start) / (end - start);
+        return 1.0 + (minMultiplier - 1.0) * t;
     }
     
     tryReload() {
@@ -176,7 +503,7 @@ export class Weapon {
         if (this.currentAmmo >= this.maxAmmo) return false;
         
         // Don't reload if we have no reserve ammo
-        if (this.reserveAmmo <= 0) return false;
+        if (this.getReserveAmmo() <= 0) return false;
         
         // Start reloading
         this.isReloading = true;
@@ -191,11 +518,9 @@ export class Weapon {
     completeReload() {
         // Calculate how much ammo to add
         const ammoNeeded = this.maxAmmo - this.currentAmmo;
-        const ammoToAdd = Math.min(ammoNeeded, this.reserveAmmo);
         
         // Add ammo from reserves
-        this.currentAmmo += ammoToAdd;
-        this.reserveAmmo -= ammoToAdd;
+        this.currentAmmo += this.takeReserveAmmo(ammoNeeded);
         
         // Reset reloading state
         this.isReloading = false;
@@ -204,11 +529,66 @@ export class Weapon {
         this.updateAmmoUI();
     }
     
-    async drop() {
-        if (!this.isEquipped) return;
+    loadSingleRound() {
+        // Move one round from reserves into the weapon
+        if (this.currentAmmo < this.maxAmmo) {
+            this.currentAmmo += this.takeReserveAmmo(1);
+        }
         
+        // Keep loading until full or out of reserves
+        if (this.currentAmmo >= this.maxAmmo || this.getReserveAmmo() <= 0) {
+            this.isReloading = false;
+        } else {
+            this.reloadStartTime = performance.now() / 1000;
+        }
+        
+        // Update UI
+        this.updateAmmoUI();
+    }
+    
+    /**
+     * Get how far through the current reload (or loaded round) we are
+     * @returns {number} - 0 to 1, or 0 when not reloading
+     */
+    getReloadProgress() {
+        if (!this.isReloading) return 0;
+        
+        const elapsed = performance.now() / 1000 - this.reloadStartTime;
+        return Math.min(elapsed / this.reloadTime, 1);
+    }
+    
+    /**
+     * Get the spare rounds available for reloading
+     * @returns {number} - Rounds in the owner's pool, or carried with the weapon
+     */
+    getReserveAmmo() {
+        if (this.ammoPool && this.ammoType) {
+            return this.ammoPool.getAmmo(this.ammoType);
+        }
+        
+        return this.reserveAmmo;
+    }
+    
+    /**
+     * Take spare rounds for reloading
+     * @param {number} amount - Rounds wanted
+     * @returns {number} - Rounds actually taken
+     */
+    takeReserveAmmo(amount) {
+        if (this.ammoPool && this.ammoType) {
+            return this.ammoPool.takeAmmo(this.ammoType, amount);
+        }
+        
+        const taken = Math.min(amount, this.reserveAmmo);
+        this.reserveAmmo -= taken;
+        return taken;
+    }
+    
+    async drop() {
         // Unequip first
-        this.unequip();
+        if (this.isEquipped) {
+            this.unequip();
+        }
         
         // Create weapon pickup entity at player position
         const player = this.engine.player;
@@ -240,7 +620,7 @@ export class Weapon {
         if (this.isReloading) {
             ammoCounter.textContent = 'Reloading...';
         } else {
-            ammoCounter.textContent = `${this.currentAmmo} / ${this.reserveAmmo}`;
+            ammoCounter.textContent = `${this.currentAmmo} / ${this.getReserveAmmo()}`;
         }
     }
 }
\ No newline at end of file
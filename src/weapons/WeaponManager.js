@@ -1,11 +1,38 @@
 // src/player/WeaponManager.js
+import { MeleeAttack } from './MeleeAttack.js';
+import { ViewModelAnimator } from './ViewModelAnimator.js';
+
+// Inventory slots in switching order
+const slotNames = ['primary', 'secondary', 'melee', 'throwable'];
+
 export class WeaponManager {
     constructor(player) {
         this.player = player;
         this.engine = player.engine;
         
         this.currentWeapon = null;
-        this.weapons = [];
+        this.currentSlot = null;
+        
+        // One weapon per slot
+        this.slots = {};
+        for (const slot of slotNames) {
+            this.slots[slot] = null;
+        }
+        
+        // Shared reserve ammo by ammo type (calibre)
+        this.ammo = new Map();
+        
+        // Weapon switching - the current weapon is holstered, then the next one is raised
+        this.switchState = null; // 'holstering', 'equipping' or null when ready
+        this.switchTime = 0;
+        this.switchDuration = 0;
+        this.pendingSlot = null;
+        
+        // Quick melee, available whatever is in hand
+        this.melee = new MeleeAttack(this);
+        
+        // First-person weapon motion
+        this.viewModel = new ViewModelAnimator(this);
         
         // Setup input bindings
         this.setupInputBindings();
@@ -16,7 +43,7 @@ export class WeaponManager {
         
         // Fire weapon
         input.onMouseDown('MouseLeft', () => {
-            if (this.currentWeapon) {
+            if (this.isReady()) {
                 this.currentWeapon.startFire();
             }
         });
@@ -27,68 +54,313 @@ export class WeaponManager {
             }
         });
         
+        // Aim down sights
+        input.onMouseDown('MouseRight', () => {
+            if (this.isReady()) {
+                this.currentWeapon.startAim();
+            }
+        });
+        
+        input.onMouseUp('MouseRight', () => {
+            if (this.currentWeapon) {
+                this.currentWeapon.stopAim();
+            }
+        });
+        
         // Reload weapon
         input.onKeyDown('KeyR', () => {
-            if (this.currentWeapon) {
+            if (this.isReady()) {
                 this.currentWeapon.tryReload();
             }
         });
         
+        // Melee
+        input.onKeyDown('KeyV', () => {
+            this.melee.tryAttack();
+        });
+        
         // Drop weapon
         input.onKeyDown('KeyG', () => {
             this.dropCurrentWeapon();
         });
+        
+        // Select slots with number keys
+        slotNames.forEach((slot, index) => {
+            input.onKeyDown(`Digit${index + 1}`, () => {
+                this.selectSlot(slot);
+            });
+        });
+        
+        // Cycle through carried weapons with the scroll wheel
+        input.onMouseWheel((direction) => {
+            this.cycleWeapon(direction);
+        });
     }
     
+    /**
+     * Add a weapon to its inventory slot
+     * A weapon already in that slot is dropped to make room.
+     * @param {Weapon} weapon - Weapon to add
+     */
     addWeapon(weapon) {
-        this.weapons.push(weapon);
         weapon.init(this.engine);
         
-        // If it's our first weapon, equip it
-        if (this.weapons.length === 1 && !this.currentWeapon) {
-            this.equipWeapon(weapon);
+        const slot = this.slots.hasOwnProperty(weapon.slot) ? weapon.slot : 'primary';
+        
+        // Make room by dropping whatever is in the slot
+        if (this.slots[slot]) {
+            this.removeWeapon(slot);
+        }
+        
+        this.slots[slot] = weapon;
+        
+        // Spare rounds that came with the weapon go into the shared pool
+        if (weapon.ammoType) {
+            const added = this.addAmmo(weapon.ammoType, weapon.reserveAmmo);
+            weapon.reserveAmmo -= added;
+            weapon.ammoPool = this;
+        }
+        
+        // Raise it if our hands are empty (also when it replaced the weapon in hand)
+        if (!this.currentWeapon && this.pendingSlot === null) {
+            this.selectSlot(slot);
         }
     }
     
-    equipWeapon(weapon) {
-        // Unequip current weapon if any
-        if (this.currentWeapon) {
-            this.currentWeapon.unequip();
+    /**
+     * Switch to the weapon in a slot
+     * @param {string} slot - Slot name
+     * @returns {boolean} - True if a switch was started
+     */
+    selectSlot(slot) {
+        const weapon = this.slots[slot];
+        if (!weapon) return false;
+        
+        // Already holding (or raising) it
+        if (slot === this.currentSlot && this.switchState !== 'holstering') return false;
+        
+        this.pendingSlot = slot;
+        
+        if (this.currentWeapon && this.currentSlot !== slot) {
+            // Put the current weapon away first
+            this.currentWeapon.stopFire();
+            this.currentWeapon.stopAim();
+            this.startSwitch('holstering', this.currentWeapon.holsterTime);
+        } else {
+            this.beginEquip();
         }
         
-        // Equip new weapon
-        this.currentWeapon = weapon;
-        weapon.equip(this.player);
+        return true;
     }
     
-    dropCurrentWeapon() {
-        if (!this.currentWeapon) return;
+    /**
+     * Select the next or previous occupied slot
+     * @param {number} direction - 1 for next, -1 for previous
+     */
+    cycleWeapon(direction) {
+        const from = this.pendingSlot || this.currentSlot;
+        const start = from ? slotNames.indexOf(from) : -1;
+        
+        for (let i = 1; i <= slotNames.length; i++) {
+            const index = ((start + direction * i) % slotNames.length + slotNames.length) % slotNames.length;
+            const slot = slotNames[index];
+            
+            if (this.slots[slot] && slot !== from) {
+                this.selectSlot(slot);
+                return;
+            }
+        }
+    }
+    
+    beginEquip() {
+        const slot = this.pendingSlot;
+        const weapon = slot ? this.slots[slot] : null;
+        this.pendingSlot = null;
+        
+        // The weapon we were switching to was dropped meanwhile - raise the current one again
+        if (!weapon) {
+            if (this.currentWeapon) {
+                this.startSwitch('equipping', this.currentWeapon.equipTime);
+            } else {
+                this.switchState = null;
+            }
+            return;
+        }
+        
+        if (this.currentWeapon !== weapon) {
+            // Holster whatever is in hand
+            if (this.currentWeapon) {
+                this.currentWeapon.unequip();
+            }
+            
+            this.currentWeapon = weapon;
+            weapon.equip(this.player);
+        }
+        
+        this.currentSlot = slot;
+        this.startSwitch('equipping', weapon.equipTime);
+    }
+    
+    startSwitch(state, duration) {
+        this.switchState = state;
+        this.switchTime = 0;
+        this.switchDuration = duration;
+    }
+    
+    /**
+     * Whether the current weapon is in hand and can be used
+     * @returns {boolean}
+     */
+    isReady() {
+        return this.currentWeapon !== null && this.switchState === null && !this.melee.isSwinging;
+    }
+    
+    /**
+     * Progress of the current switch phase
+     * @returns {number} - 0 at the start of the phase, 1 when it completes
+     */
+    getSwitchProgress() {
+        if (!this.switchState || this.switchDuration <= 0) return 1;
+        
+        return Math.min(this.switchTime / this.switchDuration, 1);
+    }
+    
+    /**
+     * Add rounds to the shared ammo pool
+     * @param {string} ammoType - Ammo type id
+     * @param {number} amount - Rounds to add
+     * @returns {number} - Rounds actually added (capped by the type's maxCarry)
+     */
+    addAmmo(ammoType, amount) {
+        const current = this.getAmmo(ammoType);
+        const definition = this.engine.weaponRegistry.getAmmoType(ammoType);
+        const maxCarry = definition && definition.maxCarry !== undefined ? definition.maxCarry : Infinity;
         
-        // Create a copy of the reference
-        const weapon = this.currentWeapon;
+        const added = Math.max(0, Math.min(amount, maxCarry - current));
+        this.ammo.set(ammoType, current + added);
         
-        // Remove from weapons array
-        const index = this.weapons.indexOf(weapon);
-        if (index !== -1) {
-            this.weapons.splice(index, 1);
+        if (added > 0 && this.currentWeapon) {
+            this.currentWeapon.updateAmmoUI();
         }
         
+        return added;
+    }
+    
+    /**
+     * Take rounds from the shared ammo pool
+     * @param {string} ammoType - Ammo type id
+     * @param {number} amount - Rounds wanted
+     * @returns {number} - Rounds actually taken
+     */
+    takeAmmo(ammoType, amount) {
+        const current = this.getAmmo(ammoType);
+        const taken = Math.min(amount, current);
+        
+        this.ammo.set(ammoType, current - taken);
+        
+        return taken;
+    }
+    
+    /**
+     * Get the rounds carried for an ammo type
+     * @param {string} ammoType - Ammo type id
+     * @returns {number}
+     */
+    getAmmo(ammoType) {
+        return this.ammo.get(ammoType) || 0;
+    }
+    
+    /**
+     * How stocked up the player is, averaged over the weapons carried
+     * @returns {number} - 0 (out of ammo) to 1 (full), 1 when carrying nothing that uses ammo
+     */
+    getAmmoLevel() {
+        let total = 0;
+        let count = 0;
+        
+        for (const weapon of Object.values(this.slots)) {
+            if (!weapon || weapon.slot === 'melee') continue;
+            
+            let rounds = weapon.currentAmmo;
+            let capacity = weapon.maxAmmo;
+            
+            // Reserves count against what can be carried of the calibre
+            const definition = weapon.ammoType ? this.engine.weaponRegistry.getAmmoType(weapon.ammoType) : null;
+            if (definition && definition.maxCarry !== undefined) {
+                rounds += weapon.getReserveAmmo();
+                capacity += definition.maxCarry;
+            }
+            
+            if (capacity > 0) {
+                total += Math.min(1, rounds / capacity);
+                count++;
+            }
+        }
+        
+        return count > 0 ? total / count : 1;
+    }
+    
+    /**
+     * Take a weapon out of the inventory and drop it in the world
+     * @param {string} slot - Slot name
+     * @returns {Weapon|null} - Dropped weapon
+     */
+    removeWeapon(slot) {
+        const weapon = this.slots[slot];
+        if (!weapon) return null;
+        
+        // Spare ammo stays with the player
+        this.slots[slot] = null;
+        weapon.ammoPool = null;
+        
         // Drop the weapon
         weapon.drop();
         
         // Clear current weapon
-        this.currentWeapon = null;
+        if (weapon === this.currentWeapon) {
+            this.currentWeapon = null;
+            this.currentSlot = null;
+            this.switchState = null;
+            this.pendingSlot = null;
+        }
+        
+        return weapon;
+    }
+    
+    dropCurrentWeapon() {
+        if (!this.currentWeapon) return;
+        
+        this.removeWeapon(this.currentSlot);
         
         // Equip next weapon if available
-        if (this.weapons.length > 0) {
-            this.equipWeapon(this.weapons[0]);
+        const nextSlot = slotNames.find(slot => this.slots[slot]);
+        if (nextSlot) {
+            this.selectSlot(nextSlot);
         }
     }
     
     update(deltaTime) {
-        // Update current weapon
-        if (this.currentWeapon) {
+        if (this.switchState) {
+            this.updateSwitch(deltaTime);
+        } else if (this.currentWeapon) {
+            // Update current weapon
             this.currentWeapon.update(deltaTime);
         }
+        
+        this.melee.update(deltaTime);
+        
+        // Pose the weapon in view
+        this.viewModel.update(deltaTime);
+    }
+    
+    updateSwitch(deltaTime) {
+        this.switchTime += deltaTime;
+        if (this.getSwitchProgress() < 1) return;
+        
+        if (this.switchState === 'holstering') {
+            this.beginEquip();
+        } else {
+            this.switchState = null;
+        }
     }
 }
\ No newline at end of file
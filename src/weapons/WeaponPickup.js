@@ -51,6 +51,10 @@ export class WeaponPickup {
         this.object.rotation.y += deltaTime * 1.0;
     }
     
+    getInteractionText() {
+        return `pick up ${this.weapon ? this.weapon.name : 'weapon'}`;
+    }
+    
     interact(player) {
         // Give the weapon to the player
         if (this.weapon) {
@@ -0,0 +1,152 @@
+// src/weapons/WeaponRegistry.js
+import { Vector3 } from 'three';
+import { Weapon } from './Weapon.js';
+
+export class WeaponRegistry {
+    constructor(engine) {
+        this.engine = engine;
+        
+        // Weapon definitions by id
+        this.definitions = new Map();
+        
+        // Ammo type definitions by calibre id
+        this.ammoTypes = new Map();
+    }
+    
+    /**
+     * Load weapon definitions from JSON
+     * @param {string} path - Path to the definitions file
+     * @returns {Promise<boolean>} - Success status
+     */
+    async load(path = 'data/weapons.json') {
+        try {
+            const data = await this.engine.assetManager.loadJSON('weapons', path);
+            
+            for (const [id, definition] of Object.entries(data)) {
+                this.register(id, definition);
+            }
+            
+            console.log(`Loaded ${this.definitions.size} weapon definitions`);
+            return true;
+        } catch (error) {
+            console.error("Failed to load weapon definitions:", error);
+            return false;
+        }
+    }
+    
+    /**
+     * Load ammo type definitions from JSON
+     * @param {string} path - Path to the definitions file
+     * @returns {Promise<boolean>} - Success status
+     */
+    async loadAmmoTypes(path = 'data/ammo.json') {
+        try {
+            const data = await this.engine.assetManager.loadJSON('ammo', path);
+            
+            for (const [id, definition] of Object.entries(data)) {
+                this.ammoTypes.set(id, definition);
+            }
+            
+            console.log(`Loaded ${this.ammoTypes.size} ammo types`);
+            return true;
+        } catch (error) {
+            console.error("Failed to load ammo types:", error);
+            return false;
+        }
+    }
+    
+    /**
+     * Get an ammo type definition
+     * @param {string} id - Ammo type id (calibre)
+     * @returns {Object|null} - Definition or null if unknown
+     */
+    getAmmoType(id) {
+        return this.ammoTypes.get(id) || null;
+    }
+    
+    /**
+     * Register a weapon definition
+     * @param {string} id - Weapon id referenced by maps
+     * @param {Object} definition - Weapon definition
+     */
+    register(id, definition) {
+        this.definitions.set(id, definition);
+    }
+    
+    /**
+     * Get a weapon definition
+     * @param {string} id - Weapon id
+     * @returns {Object|null} - Definition or null if unknown
+     */
+    getDefinition(id) {
+        return this.definitions.get(id) || null;
+    }
+    
+    /**
+     * Create a weapon from its definition
+     * @param {string} id - Weapon id
+     * @param {Object} overrides - Per-instance values that replace definition values
+     * @returns {Promise<Weapon|null>} - Initialized weapon or null if unknown
+     */
+    async createWeapon(id, overrides = {}) {
+        const definition = this.getDefinition(id);
+        if (!definition) {
+            console.error(`Unknown weapon type: ${id}`);
+            return null;
+        }
+        
+        const options = { ...definition, ...overrides, type: id };
+        
+        // Convert view offsets to vectors
+        options.position = this.toVector3(options.viewPosition, new Vector3(0.3, -0.3, -0.5));
+        options.rotation = this.toVector3(options.viewRotation, new Vector3(0, 0, 0));
+        if (options.adsPosition) {
+            options.adsPosition = this.toVector3(options.adsPosition, new Vector3(0, 0, 0));
+        }
+        if (options.muzzleOffset) {
+            options.muzzleOffset = this.toVector3(options.muzzleOffset, new Vector3(0, 0, 0));
+        }
+        
+        const weapon = new Weapon(options);
+        weapon.init(this.engine);
+        
+        // Load the weapon model
+        if (options.model) {
+            await this.loadWeaponModel(options);
+            
+            if (this.engine.assetManager.getModel(options.model)) {
+                weapon.loadModel(options.model);
+            } else {
+                console.error(`Model for weapon type '${id}' not found`);
+            }
+        }
+        
+        return weapon;
+    }
+    
+    /**
+     * Make sure a weapon's model is loaded
+     * @param {Object} options - Weapon options with model id and path
+     */
+    async loadWeaponModel(options) {
+        if (this.engine.assetManager.getModel(options.model) || !options.modelPath) {
+            return;
+        }
+        
+        try {
+            await this.engine.assetManager.loadModel(options.model, options.modelPath);
+        } catch (error) {
+            console.error(`Failed to load model for weapon ${options.model}:`, error);
+        }
+    }
+    
+    toVector3(data, defaultValue) {
+        if (!data) return defaultValue;
+        
+        return new Vector3(
+            data.x !== undefined ? data.x : defaultValue.x,
+            data.y !== undefined ? data.y : defaultValue.y,
+            data.z !== undefined ? data.z : defaultValue.z
+        );
+    }
+}
\ No newline at end of file